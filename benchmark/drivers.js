@@ -0,0 +1,75 @@
+// Compares the SQLite drivers. Run with `nps benchmark`
+/* eslint-disable no-console, no-await-in-loop */
+import sysPath from 'path'
+import {performance} from 'perf_hooks'
+import tmp from 'tmp-promise'
+import {DB, JsonModel} from '../src'
+
+const COUNT = Number(process.env.COUNT) || 5000
+const drivers = ['sqlite3', 'better-sqlite3', 'better-sqlite3-sync']
+
+const time = async (results, name, fn) => {
+	const start = performance.now()
+	await fn()
+	const ms = performance.now() - start
+	results[name] = `${Math.round(ms)}ms`
+}
+
+const runDriver = async (driver, dir) => {
+	const results = {}
+	const db = new DB({file: sysPath.join(dir, `${driver}.db`), driver})
+	const m = db.addModel(JsonModel, {
+		name: 'bench',
+		columns: {id: {type: 'INTEGER'}, n: {type: 'INTEGER', index: 'SPARSE'}},
+	})
+	await db.open()
+
+	await time(results, `${COUNT} set (1 transaction)`, () =>
+		db.withTransaction(async () => {
+			for (let id = 1; id <= COUNT; id++) await m.set({id, n: id % 100})
+		})
+	)
+	await time(results, `${COUNT} get`, async () => {
+		for (let id = 1; id <= COUNT; id++) await m.get(id)
+	})
+	await time(results, `${COUNT} parallel get`, () =>
+		Promise.all(Array.from({length: COUNT}, (_, i) => m.get(i + 1)))
+	)
+	await time(results, `100 search`, async () => {
+		for (let n = 0; n < 100; n++) await m.searchAll({n})
+	})
+	await time(results, `iterate all`, async () => {
+		for await (const _ of m.iterate()) {
+			// just reading
+		}
+	})
+	await time(results, `${COUNT} dataVersion`, async () => {
+		for (let i = 0; i < COUNT; i++) await db.dataVersion()
+	})
+	await time(results, `100 transactions`, async () => {
+		for (let i = 0; i < 100; i++)
+			await db.withTransaction(() => m.update({id: 1, n: i}))
+	})
+
+	await db.close()
+	return results
+}
+
+const main = async () => {
+	const table = {}
+	await tmp.withDir(
+		async ({path: dir}) => {
+			for (const driver of drivers) {
+				console.log(`running ${driver}…`)
+				table[driver] = await runDriver(driver, dir)
+			}
+		},
+		{unsafeCleanup: true, prefix: 'strato-bench'}
+	)
+	console.table(table)
+}
+
+main().catch(error => {
+	console.error(error)
+	process.exitCode = 1
+})
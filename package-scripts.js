@@ -42,6 +42,7 @@ const scripts = {
 		watch: 'NODE_ENV=test jest --color --watch',
 		inspect: `NODE_ENV=test pnpx ndb ${jestBin} --runInBand --watch`,
 	},
+	benchmark: 'node -r @babel/register benchmark/drivers.js',
 	publish: `npm publish --access public`,
 }
 
@@ -1,5 +1,7 @@
 // @ts-check
 /* eslint-disable no-console */
+import {createHash} from 'crypto'
+import fs from 'fs'
 import {sortBy} from 'lodash'
 import debug from 'debug'
 import SQLite, {sql} from './SQLite'
@@ -8,9 +10,9 @@ const dbg = debug('strato-db/DB')
 
 export const _getRanMigrations = async db => {
 	if (
-		!(await db.get(`SELECT 1 FROM sqlite_master WHERE name="{sdb} migrations"`))
+		!(await db.get(`SELECT 1 FROM sqlite_master WHERE name='{sdb} migrations'`))
 	) {
-		if (await db.get(`SELECT 1 FROM sqlite_master WHERE name="_migrations"`))
+		if (await db.get(`SELECT 1 FROM sqlite_master WHERE name='_migrations'`))
 			await db.exec(`ALTER TABLE _migrations RENAME TO "{sdb} migrations"`)
 		else
 			await db.exec(`CREATE TABLE "{sdb} migrations"(
@@ -20,9 +22,10 @@ export const _getRanMigrations = async db => {
 			);`)
 	}
 	const didRun = {}
+	// The last row per runKey has the current state
 	await db.each(
 		`
-			SELECT runKey, max(ts) AS ts, up FROM "{sdb} migrations"
+			SELECT runKey, max(rowid), ts, up FROM "{sdb} migrations"
 			GROUP BY runKey
 			HAVING up = 1
 		`,
@@ -33,12 +36,70 @@ export const _getRanMigrations = async db => {
 	return didRun
 }
 
+const _getMigrationRows = async db => {
+	for (const name of ['{sdb} migrations', '_migrations']) {
+		// eslint-disable-next-line no-await-in-loop
+		if (await db.get(`SELECT 1 FROM sqlite_master WHERE name=?`, [name]))
+			return db.all(
+				`SELECT runKey, max(rowid), ts, up FROM ${sql.quoteId(
+					name
+				)} GROUP BY runKey`
+			)
+	}
+	return []
+}
+
+const _getTotalChanges = async db =>
+	(await db.get(`SELECT total_changes() AS c`)).c
+
+// Thrown to roll back the dry run transaction
+const dryRunDone = new Error('dry run done')
+
 const _markMigration = async (db, runKey, up) => {
 	const ts = Math.round(Date.now() / 1000)
 	up = up ? 1 : 0
 	await db.run`INSERT INTO "{sdb} migrations" VALUES (${runKey}, ${ts}, ${up})`
 }
 
+// As the SQLite docs advise for schema changes, so migrations can rebuild
+// tables without triggering foreign key actions
+const withoutForeignKeys = async (db, fn) => {
+	await db.exec(`PRAGMA foreign_keys = OFF`)
+	try {
+		return await fn()
+	} finally {
+		await db.exec(`PRAGMA foreign_keys = ON`)
+	}
+}
+
+// Whether one of the migrations that will run rebuilds tables. The foreign
+// keys can only be turned off outside a transaction, so this looks ahead.
+const rebuildsTables = async (db, migrations, willRun) => {
+	const rebuilds = migrations.filter(m => m.withoutForeignKeys)
+	if (!rebuilds.length) return false
+	const didRun = await _getRanMigrations(db)
+	return rebuilds.some(m => willRun(m, didRun))
+}
+
+const isPending = ({runKey, undo}, didRun) =>
+	undo ? !!didRun[runKey] : !didRun[runKey]
+
+// Migrations may change the models, even if they normally only apply events
+const setStoreWritable = (store, state) => {
+	for (const model of Object.values(store))
+		if (model.setWritable) model.setWritable(state)
+}
+
+// Run before committing the migrations, since the foreign keys were off
+const checkForeignKeys = async db => {
+	const violations = await db.all(`PRAGMA foreign_key_check`)
+	if (!violations.length) return
+	const {table, rowid, parent} = violations[0]
+	throw new Error(
+		`migrations: ${violations.length} foreign key violation(s), e.g. ${table} row ${rowid} references a missing ${parent} row`
+	)
+}
+
 /**
  * DB adds model management and migrations to Wrapper.
  * The migration state is kept in the table ""{sdb} migrations"".
@@ -51,17 +112,40 @@ class DB extends SQLite {
 	 * @param {Array} [options.migrations] migration definitions
 	 * @param {function} [options.onBeforeMigrations] called with the `db` before migrations run. Not called for read-only
 	 * @param {function} [options.onDidOpen] called with the `db` after migrations ran. If readOnly is set, it runs after opening DB. The DB is open after this function resolves
+	 * @param {number|boolean} [options.schemaVersion] the schema version, stored in `PRAGMA application_id`. `true` uses a hash of the registered migrations. When another process stores a different version, the `schemaChanged` event is emitted and writes are refused
 	 */
-	constructor({migrations = [], onBeforeMigrations, ...options} = {}) {
+	constructor({
+		migrations = [],
+		onBeforeMigrations,
+		schemaVersion,
+		...options
+	} = {}) {
+		if (
+			schemaVersion != null &&
+			schemaVersion !== true &&
+			!(
+				Number.isInteger(schemaVersion) &&
+				schemaVersion > 0 &&
+				schemaVersion < 2 ** 31
+			)
+		)
+			throw new TypeError(
+				`schemaVersion must be true or a positive 32-bit integer`
+			)
 		const onDidOpen = options.readOnly
 			? options.onDidOpen
 			: async db => {
 					if (onBeforeMigrations) await onBeforeMigrations(db)
 					await this.runMigrations(db)
+					if (schemaVersion) await this._storeSchemaVersion(db)
 					if (options.onDidOpen) await options.onDidOpen(db)
 			  }
 		super({...options, onDidOpen})
 		this.options.migrations = migrations
+		this.options.onBeforeMigrations = onBeforeMigrations
+		this.options.schemaVersion = schemaVersion
+		// Set when another process changed the schema version
+		this.schemaChanged = false
 	}
 
 	static sql = sql
@@ -93,7 +177,18 @@ class DB extends SQLite {
 	}
 
 	/**
-	 * Register an object with migrations
+	 * Register an object with migrations.
+	 * A migration is a function or an object with these functions:
+	 * - `up`: runs once, when the migration didn't run yet
+	 * - `down`: undoes `up` during `rollbackMigrations()`
+	 * - `undo`: instead of `up`, runs once only if the migration ran before
+	 * - `needed`: with `up`, resolves whether `up` has anything to do. If not,
+	 *   the migration is skipped without being recorded, so it is checked again
+	 *   on the next run
+	 *
+	 * With `withoutForeignKeys: true`, the foreign keys are not enforced while
+	 * the migrations run, for example to rebuild a table. They are checked
+	 * before committing instead.
 	 * @param {string} name - the name under which to register these migrations
 	 * @param {Record<string, function | Record<string, function>>} migrations - the migrations object
 	 * @returns {void}
@@ -106,9 +201,9 @@ class DB extends SQLite {
 			let obj = migrations[key]
 			if (typeof obj === 'function') {
 				obj = {up: obj}
-			} else if (!obj.up) {
+			} else if (!obj.up === !obj.undo) {
 				throw new Error(
-					`Migration ${key} for "${name}" must be a function or have an "up({db, model, ...rest})" attribute`
+					`Migration ${key} for "${name}" must be a function or have either an "up({db, model, ...rest})" or an "undo" attribute`
 				)
 			}
 			// Separate with space, it sorts before other things
@@ -121,32 +216,349 @@ class DB extends SQLite {
 	}
 
 	/**
-	 * Runs the migrations in a transaction and waits for completion
-	 * @param {SQLite} db - an opened SQLite instance
-	 * @returns {Promise<void>} - promise for completed migrations
+	 * Runs the migrations in a transaction and waits for completion.
+	 * With `dryRun`, the pending migrations run on a separate connection in a
+	 * transaction that is rolled back afterwards, and the executed queries are returned.
+	 * An open in-memory DB can't be reached from another connection, so then
+	 * they run in a rolled back transaction on its own connection.
+	 * @param {SQLite} [db] - an opened SQLite instance, used during opening
+	 * @param {object} [options] - run options
+	 * @param {boolean} [options.dryRun] - only report what the migrations would do
+	 * @returns {Promise<void|DryRunResult>} - promise for completed migrations
 	 */
-	async runMigrations(db) {
+	async runMigrations(db, options) {
+		if (!(db instanceof SQLite)) {
+			options = db
+			db = undefined
+		}
+		if (options && options.dryRun) return this._dryRunMigrations()
+		// Opening the DB runs the migrations
+		if (!db) {
+			await this.open()
+			return
+		}
 		const {store} = this
+		const rebuilds = await rebuildsTables(
+			db,
+			this.options.migrations,
+			isPending
+		)
+		const run = () =>
+			db.withTransaction(async () => {
+				const ranCount = await this._applyMigrations(db)
+				if (ranCount && rebuilds) await checkForeignKeys(db)
+			})
+		await (rebuilds ? withoutForeignKeys(db, run) : run())
+		this.migrationsRan = true
+
+		// Protect against store updates during migrations
+		this.store = store
+	}
+
+	async _applyMigrations(db, report) {
+		// The migrations replace db.store with their own models
+		const {store} = db
+		setStoreWritable(store, true)
+		try {
+			return await this._runPending(db, report)
+		} finally {
+			setStoreWritable(store, false)
+		}
+	}
+
+	async _runPending(db, report) {
 		const migrations = sortBy(this.options.migrations, ({runKey}) => runKey)
+		const didRun = await _getRanMigrations(db)
+		let ranCount = 0
+		for (const {runKey, up, undo, needed} of migrations) {
+			const fn = undo ? didRun[runKey] && undo : !didRun[runKey] && up
+			if (!fn) continue
+			// eslint-disable-next-line no-await-in-loop
+			if (!undo && needed && !(await needed(db))) continue
+			ranCount++
+			const what = undo ? 'undo migration' : 'migration'
+			dbg(this.name, `start ${what}`, runKey)
+			if (report) {
+				// eslint-disable-next-line no-await-in-loop
+				const before = await _getTotalChanges(db)
+				const from = db._queryLog.length
+				await fn(db) // eslint-disable-line no-await-in-loop
+				const queries = db._queryLog.slice(from)
+				// eslint-disable-next-line no-await-in-loop
+				const changes = (await _getTotalChanges(db)) - before
+				report.push({runKey, undo: !!undo, queries, changes})
+			} else {
+				await fn(db) // eslint-disable-line no-await-in-loop
+			}
+			dbg(this.name, `done ${what}`, runKey)
+			await _markMigration(db, runKey, undo ? 0 : 1) // eslint-disable-line no-await-in-loop
+		}
+		return ranCount
+	}
+
+	/**
+	 * The result of a migration dry run
+	 * @typedef DryRunResult
+	 * @type {object}
+	 * @property {Array<{runKey: string, undo: boolean, queries: Array<{sql: string, vars?: any, changes?: number}>, changes: number}>} migrations - the migrations that would run, in order
+	 * @property {number} changes - the total amount of changed rows
+	 */
+
+	async _dryRunMigrations() {
+		const {store} = this
+		// The migrations get copies of the models, so the live ones stay read-only
+		const dryStore = {}
+		for (const [name, model] of Object.entries(store))
+			dryStore[name] = typeof model === 'object' ? Object.create(model) : model
+		// Another connection would get a new, empty in-memory DB
+		const shared = this.file === ':memory:' && this._sqlite
+		const db = new SQLite({
+			file: this.file,
+			driver: this.driver,
+			busyRetry: this.options.busyRetry,
+			_sqlite: shared || undefined,
+			_store: dryStore,
+		})
+		// The shared connection is only used within our own transaction
+		const txDb = shared ? this : db
+		db._queryLog = []
+		const report = []
+		const {onBeforeMigrations} = this.options
+		try {
+			const rebuilds = await rebuildsTables(
+				db,
+				this.options.migrations,
+				isPending
+			)
+			const run = () =>
+				txDb.withTransaction(async () => {
+					if (shared) db.inTransaction = true
+					if (onBeforeMigrations) await onBeforeMigrations(db)
+					const ranCount = await this._applyMigrations(db, report)
+					if (ranCount && rebuilds) await checkForeignKeys(db)
+					throw dryRunDone
+				})
+			await (rebuilds ? withoutForeignKeys(txDb, run) : run())
+		} catch (error) {
+			if (error !== dryRunDone) throw error
+		} finally {
+			await db.close()
+			this.store = store
+		}
+		return {
+			migrations: report,
+			changes: report.reduce((sum, m) => sum + m.changes, 0),
+		}
+	}
+
+	/**
+	 * The state of a migration:
+	 * - `ran`: it ran and won't run again
+	 * - `pending`: it will run on the next open
+	 * - `undone`: an `undo` migration that already ran or never needed to
+	 * - `orphaned`: it is in the database but not registered
+	 * @typedef MigrationStatus
+	 * @type {object}
+	 * @property {string} runKey - the migration key, `<key> <name>`
+	 * @property {'ran'|'pending'|'skipped'|'undone'|'orphaned'} state - the state, `skipped` when a pending migration is not `needed`
+	 * @property {number} [ts] - ms since epoch of the last run, rollback or undo
+	 */
+
+	/**
+	 * Get the state of all registered and previously run migrations,
+	 * without running them. If the DB is not open yet, a separate read-only
+	 * connection is used, so the migrations don't run.
+	 * @returns {Promise<Array<MigrationStatus>>} - the migrations, sorted by runKey
+	 */
+	async getMigrationStatus() {
+		if (this._sqlite) return this._getMigrationStatus(this)
+		if (this.file !== ':memory:' && fs.existsSync(this.file)) {
+			const db = new SQLite({
+				file: this.file,
+				readOnly: true,
+				driver: this.driver,
+			})
+			try {
+				return await this._getMigrationStatus(db)
+			} finally {
+				await db.close()
+			}
+		}
+		return this._getMigrationStatus()
+	}
+
+	async _getMigrationStatus(db) {
+		const rows = db ? await _getMigrationRows(db) : []
+		const byKey = {}
+		for (const row of rows) byKey[row.runKey] = row
+		const status = []
+		for (const {runKey, undo, needed} of this.options.migrations) {
+			const row = byKey[runKey]
+			delete byKey[runKey]
+			const didRun = !!(row && row.up)
+			/** @type {MigrationStatus['state']} */
+			let state
+			if (undo) state = didRun ? 'pending' : 'undone'
+			else if (didRun) state = 'ran'
+			// Without migrations yet, there is nothing to check against
+			// eslint-disable-next-line no-await-in-loop
+			else if (needed && rows.length && !(await needed(db))) state = 'skipped'
+			else state = 'pending'
+			status.push({runKey, state, ts: row ? row.ts * 1000 : undefined})
+		}
+		for (const {runKey, ts} of Object.values(byKey))
+			status.push({runKey, state: 'orphaned', ts: ts * 1000})
+		return sortBy(status, ({runKey}) => runKey)
+	}
+
+	/**
+	 * The schema version we expect in `PRAGMA application_id`
+	 * @returns {number} - the version
+	 */
+	_getSchemaVersion() {
+		const {schemaVersion, migrations} = this.options
+		if (schemaVersion !== true) return Number(schemaVersion)
+		const runKeys = sortBy(migrations.map(m => m.runKey)).join('\n')
+		// 0 means no application_id, avoid it
+		return createHash('sha1').update(runKeys).digest().readInt32BE(0) || 1
+	}
+
+	async _storeSchemaVersion(db) {
+		const version = this._getSchemaVersion()
 		await db.withTransaction(async () => {
-			const didRun = await _getRanMigrations(db)
-			for (const model of Object.values(store))
-				if (model.setWritable) model.setWritable(true)
-			for (const {runKey, up} of migrations) {
-				if (!didRun[runKey]) {
-					dbg(this.name, 'start migration', runKey)
-					await up(db) // eslint-disable-line no-await-in-loop
-					dbg(this.name, 'done migration', runKey)
-					await _markMigration(db, runKey, 1) // eslint-disable-line no-await-in-loop
-				}
+			const {application_id: found} = await db.get(`PRAGMA application_id`)
+			if (found === version) return
+			// Don't overwrite the version of a newer process
+			let isNewer
+			if (this.options.schemaVersion === true) {
+				const didRun = await _getRanMigrations(db)
+				const known = new Set(this.options.migrations.map(m => m.runKey))
+				isNewer = Object.keys(didRun).some(runKey => !known.has(runKey))
+			} else {
+				isNewer = found > version
 			}
-			for (const model of Object.values(store))
-				if (model.setWritable) model.setWritable(false)
+			if (isNewer) {
+				await this._setSchemaChanged(db, found)
+				return
+			}
+			dbg(this.name, `schema version ${found} -> ${version}`)
+			await db.exec(`PRAGMA application_id = ${version}`)
 		})
-		this.migrationsRan = true
+	}
 
-		// Protect against store updates during migrations
-		this.store = store
+	async _setSchemaChanged(db, found) {
+		if (this.schemaChanged) return
+		this.schemaChanged = true
+		// Let SQLite refuse all writes on this connection
+		if (!this.readOnly) await db.exec(`PRAGMA query_only = ON`)
+		const schemaVersion = this._getSchemaVersion()
+		dbg(
+			this.name,
+			`schema version changed to ${found}, expected ${schemaVersion}`
+		)
+		this.emit('schemaChanged', {schemaVersion, found})
+	}
+
+	/**
+	 * Returns the data_version, which increases when other connections write
+	 * to the database. With `schemaVersion`, it also checks if the schema
+	 * version changed.
+	 * @returns {Promise<number>} - the data version
+	 */
+	async dataVersion() {
+		const v = await super.dataVersion()
+		if (this.options.schemaVersion && v !== this._schemaDataV) {
+			this._schemaDataV = v
+			if (!this._appIdSql)
+				this._appIdSql = this.prepare(`PRAGMA application_id`, 'appId')
+			const {application_id: found} = await this._appIdSql.get()
+			if (found !== this._getSchemaVersion())
+				await this._setSchemaChanged(this, found)
+		}
+		return v
+	}
+
+	/**
+	 * Run a function in an immediate transaction, see `SQLite.withTransaction`.
+	 * Refuses to run after the schema version changed.
+	 * @param {function} fn - the function to call. It doesn't get any parameters
+	 * @returns {Promise<void>} - a promise for transaction completion.
+	 */
+	async withTransaction(fn) {
+		if (this.schemaChanged)
+			throw new Error(
+				`${this.name}: the schema version changed, DB is read-only`
+			)
+		return super.withTransaction(fn)
+	}
+
+	/**
+	 * Runs the `down` functions of the migrations that ran after `to`, in reverse
+	 * order and in a single transaction. If one of them has no `down`, nothing is
+	 * rolled back.
+	 * Note that opening the DB with these migrations registered will run them again.
+	 * @param {object} options - rollback options
+	 * @param {string} options.to - the runKey (`<key> <name>`) of the last migration to keep, `''` rolls back everything
+	 * @returns {Promise<Array<string>>} - the runKeys that were rolled back
+	 */
+	async rollbackMigrations({to} = {}) {
+		if (typeof to !== 'string')
+			throw new TypeError('rollbackMigrations: `to` runKey is required')
+		if (this.readOnly) throw new Error(`${this.name}: DB is readonly`)
+		await this.open()
+		const {store} = this
+		const migrations = sortBy(
+			this.options.migrations,
+			({runKey}) => runKey
+		).reverse()
+		// Migrations expect their own connection object
+		const db = new SQLite({
+			file: this.file,
+			name: this.name,
+			driver: this.driver,
+			busyRetry: this.options.busyRetry,
+			_sqlite: this._sqlite,
+			_store: store,
+		})
+		const rolledBack = []
+		try {
+			const rebuilds = await rebuildsTables(
+				this,
+				migrations,
+				({runKey}, didRun) => runKey > to && didRun[runKey]
+			)
+			const run = () =>
+				this.withTransaction(async () => {
+					db.inTransaction = true
+					const didRun = await _getRanMigrations(db)
+					const todo = migrations.filter(
+						({runKey}) => runKey > to && didRun[runKey]
+					)
+					const noDown = todo.find(m => !m.down)
+					if (noDown)
+						throw new Error(
+							`rollbackMigrations: migration ${noDown.runKey} has no down function`
+						)
+					setStoreWritable(store, true)
+					try {
+						for (const {runKey, down} of todo) {
+							dbg(this.name, 'start down migration', runKey)
+							await down(db) // eslint-disable-line no-await-in-loop
+							dbg(this.name, 'done down migration', runKey)
+							await _markMigration(db, runKey, 0) // eslint-disable-line no-await-in-loop
+							rolledBack.push(runKey)
+						}
+					} finally {
+						setStoreWritable(store, false)
+					}
+					if (rolledBack.length && rebuilds) await checkForeignKeys(db)
+				})
+			await (rebuilds ? withoutForeignKeys(this, run) : run())
+		} finally {
+			await db.close()
+			this.store = store
+		}
+		return rolledBack
 	}
 }
 
@@ -1,6 +1,7 @@
 import sysPath from 'path'
 import tmp from 'tmp-promise'
 import DB, {_getRanMigrations} from './DB'
+import SQLite from './SQLite'
 
 test('can register model', () => {
 	const db = new DB()
@@ -76,6 +77,29 @@ test('runs migrations in writable mode', async () => {
 	await db.close()
 })
 
+test('ends writable mode when a migration fails', async () => {
+	const db = new DB()
+	db.registerMigrations('whee', {
+		0() {
+			throw new Error('oops')
+		},
+	})
+	const m = db.addModel(
+		class T {
+			name = 't'
+
+			setWritable(v) {
+				this.writable = v
+			}
+		}
+	)
+	// open() doesn't settle when a migration fails, so use a separate connection
+	const conn = new SQLite({_store: db.store})
+	await expect(db.runMigrations(conn)).rejects.toThrow('oops')
+	expect(m.writable).toBe(false)
+	await conn.close()
+})
+
 test('sorts migrations', async () => {
 	const db = new DB()
 	const arr = []
@@ -166,6 +190,23 @@ test('onBeforeMigrations', async () => {
 	await db.close()
 })
 
+test('ensureTable/ensureIndexes at open time', async () => {
+	const db = new DB({
+		async onBeforeMigrations(db) {
+			await db.ensureTable('t', {id: 'INTEGER PRIMARY KEY', v: {type: 'TEXT'}})
+			await db.ensureIndexes('t', [{name: 'v', columns: ['v']}], true)
+		},
+	})
+	db.registerMigrations('t', {
+		fill: db => db.exec(`INSERT INTO t VALUES (1, 'a')`),
+	})
+	expect(await db.all(`SELECT * FROM t`)).toEqual([{id: 1, v: 'a'}])
+	expect(
+		await db.get(`SELECT name FROM sqlite_master WHERE type='index'`)
+	).toEqual({name: '_sdb_t_v'})
+	await db.close()
+})
+
 test('onWillOpen', async () => {
 	let t = 0
 	const db = new DB({
@@ -213,3 +254,455 @@ test('10 simultaneous opens', async () =>
 		},
 		{unsafeCleanup: true, prefix: 'db-open'}
 	))
+
+const getState = db =>
+	db.all(`SELECT runKey, up FROM "{sdb} migrations" ORDER BY rowid`)
+
+const fkState = async db => (await db.get(`PRAGMA foreign_keys`)).foreign_keys
+
+describe('down and undo migrations', () => {
+	test('rollbackMigrations', async () => {
+		const db = new DB()
+		const calls = []
+		db.registerMigrations('m', {
+			a: {
+				up: db => db.exec(`CREATE TABLE t(v)`),
+				down: db => db.exec(`DROP TABLE t`),
+			},
+			b: {
+				up: db => db.exec(`ALTER TABLE t ADD COLUMN w`),
+				down: () => calls.push('b'),
+			},
+			c: {
+				up: db => db.exec(`INSERT INTO t VALUES (1, 2)`),
+				down: db => {
+					calls.push('c')
+					return db.exec(`DELETE FROM t`)
+				},
+			},
+		})
+		await db.open()
+		await expect(db.rollbackMigrations()).rejects.toThrow('`to`')
+		await expect(db.rollbackMigrations({to: 'a m'})).resolves.toEqual([
+			'c m',
+			'b m',
+		])
+		expect(calls).toEqual(['c', 'b'])
+		expect(await db.all(`SELECT * FROM t`)).toEqual([])
+		expect(await _getRanMigrations(db)).toEqual({'a m': true})
+		// Nothing left to roll back after a
+		await expect(db.rollbackMigrations({to: 'a m'})).resolves.toEqual([])
+		await expect(db.rollbackMigrations({to: ''})).resolves.toEqual(['a m'])
+		expect(
+			await db.get(`SELECT * FROM sqlite_master WHERE name='t'`)
+		).toBeUndefined()
+		expect(await getState(db)).toEqual([
+			{runKey: 'a m', up: 1},
+			{runKey: 'b m', up: 1},
+			{runKey: 'c m', up: 1},
+			{runKey: 'c m', up: 0},
+			{runKey: 'b m', up: 0},
+			{runKey: 'a m', up: 0},
+		])
+		await db.close()
+	})
+
+	test('rollbackMigrations without down', async () => {
+		const db = new DB()
+		const down = jest.fn()
+		db.registerMigrations('m', {
+			a: () => {},
+			b: {up: () => {}, down},
+		})
+		await expect(db.rollbackMigrations({to: ''})).rejects.toThrow(
+			'a m has no down'
+		)
+		expect(down).not.toHaveBeenCalled()
+		expect(await _getRanMigrations(db)).toEqual({'a m': true, 'b m': true})
+		await db.close()
+	})
+
+	test('migrations withoutForeignKeys', async () => {
+		const db = new DB()
+		const states = []
+		db.registerMigrations('m', {
+			a: async db => {
+				states.push(await fkState(db))
+			},
+			b: {
+				up: async db => {
+					states.push(await fkState(db))
+				},
+				down: async db => {
+					states.push(await fkState(db))
+				},
+				withoutForeignKeys: true,
+			},
+			c: {
+				up: async db => {
+					states.push(await fkState(db))
+				},
+				down: async db => {
+					states.push(await fkState(db))
+				},
+			},
+		})
+		await db.open()
+		// All pending migrations run in the same transaction
+		expect(states).toEqual([0, 0, 0])
+		await db.rollbackMigrations({to: 'b m'})
+		await db.rollbackMigrations({to: 'a m'})
+		expect(states).toEqual([0, 0, 0, 1, 0])
+		expect(await fkState(db)).toBe(1)
+		await db.close()
+	})
+
+	test('rollbackMigrations errors roll back', async () => {
+		const db = new DB()
+		db.registerMigrations('m', {
+			a: {up: db => db.exec(`CREATE TABLE t(v)`), down: () => {}},
+			b: {
+				up: () => {},
+				down: async db => {
+					await db.exec(`DROP TABLE t`)
+					throw new Error('oops')
+				},
+			},
+		})
+		await expect(db.rollbackMigrations({to: ''})).rejects.toThrow('oops')
+		expect(await db.all(`SELECT * FROM t`)).toEqual([])
+		expect(await _getRanMigrations(db)).toEqual({'a m': true, 'b m': true})
+		await db.close()
+	})
+
+	test('invalid undo', () => {
+		const db = new DB()
+		expect(() => db.registerMigrations('m', {c: {}})).toThrow('"undo"')
+		expect(() =>
+			db.registerMigrations('m', {c: {up: () => {}, undo: () => {}}})
+		).toThrow('either')
+	})
+
+	test('undo', () =>
+		tmp.withDir(
+			async ({path: dir}) => {
+				const file = sysPath.join(dir, 'db')
+				const open = async migrations => {
+					const db = new DB({file})
+					db.registerMigrations('m', migrations)
+					await db.open()
+					return db
+				}
+				await (await open({a: db => db.exec(`CREATE TABLE t(v)`)})).close()
+
+				const undo = jest.fn(db => db.exec(`DROP TABLE t`))
+				const db = await open({a: {undo}, b: {undo}})
+				// b never ran, so it is not undone
+				expect(undo).toHaveBeenCalledTimes(1)
+				expect(
+					await db.get(`SELECT * FROM sqlite_master WHERE name='t'`)
+				).toBeUndefined()
+				expect(await getState(db)).toEqual([
+					{runKey: 'a m', up: 1},
+					{runKey: 'a m', up: 0},
+				])
+				await db.close()
+
+				await (await open({a: {undo}, b: {undo}})).close()
+				expect(undo).toHaveBeenCalledTimes(1)
+			},
+			{unsafeCleanup: true, prefix: 'undo'}
+		))
+})
+
+describe('migration status', () => {
+	const migrations = {
+		a: db => db.exec(`CREATE TABLE t(v)`),
+		b: db => db.run(`INSERT INTO t VALUES (?), (?)`, [1, 2]),
+	}
+
+	test('getMigrationStatus', () =>
+		tmp.withDir(
+			async ({path: dir}) => {
+				const file = sysPath.join(dir, 'db')
+				let db = new DB({file})
+				db.registerMigrations('m', migrations)
+				// The file doesn't exist yet
+				expect(await db.getMigrationStatus()).toEqual([
+					{runKey: 'a m', state: 'pending'},
+					{runKey: 'b m', state: 'pending'},
+				])
+				await db.open()
+				await db.close()
+
+				db = new DB({file})
+				db.registerMigrations('m', {
+					a: migrations.a,
+					b: {undo: () => {}},
+					c: () => {},
+				})
+				const before = Date.now() - 1000
+				const status = await db.getMigrationStatus()
+				expect(db._sqlite).toBeFalsy()
+				expect(status).toEqual([
+					{runKey: 'a m', state: 'ran', ts: expect.any(Number)},
+					{runKey: 'b m', state: 'pending', ts: expect.any(Number)},
+					{runKey: 'c m', state: 'pending'},
+				])
+				expect(status[0].ts).toBeGreaterThan(before - 1000)
+				await db.open()
+				expect(await db.getMigrationStatus()).toEqual([
+					{runKey: 'a m', state: 'ran', ts: expect.any(Number)},
+					{runKey: 'b m', state: 'undone', ts: expect.any(Number)},
+					{runKey: 'c m', state: 'ran', ts: expect.any(Number)},
+				])
+				await db.close()
+
+				db = new DB({file})
+				db.registerMigrations('m', {a: migrations.a})
+				expect(await db.getMigrationStatus()).toEqual([
+					{runKey: 'a m', state: 'ran', ts: expect.any(Number)},
+					{runKey: 'b m', state: 'orphaned', ts: expect.any(Number)},
+					{runKey: 'c m', state: 'orphaned', ts: expect.any(Number)},
+				])
+				await db.close()
+			},
+			{unsafeCleanup: true, prefix: 'status'}
+		))
+
+	test('migrations needed', async () => {
+		const db = new DB()
+		let isNeeded = false
+		const up = jest.fn()
+		db.registerMigrations('m', {
+			a: () => {},
+			b: {up, needed: async () => isNeeded},
+		})
+		await db.open()
+		expect(up).not.toHaveBeenCalled()
+		expect(await db.getMigrationStatus()).toEqual([
+			{runKey: 'a m', state: 'ran', ts: expect.any(Number)},
+			{runKey: 'b m', state: 'skipped'},
+		])
+		isNeeded = true
+		expect(await db.getMigrationStatus()).toContainEqual({
+			runKey: 'b m',
+			state: 'pending',
+		})
+		await db.runMigrations(db)
+		expect(up).toHaveBeenCalledTimes(1)
+		expect(await db.getMigrationStatus()).toContainEqual({
+			runKey: 'b m',
+			state: 'ran',
+			ts: expect.any(Number),
+		})
+		await db.close()
+	})
+
+	test('runMigrations dryRun', () =>
+		tmp.withDir(
+			async ({path: dir}) => {
+				const file = sysPath.join(dir, 'db')
+				const db = new DB({
+					file,
+					onBeforeMigrations: db => db.ensureTable('u', {w: 'TEXT'}),
+				})
+				db.registerMigrations('m', {
+					...migrations,
+					c: db => {
+						// The migration copy of the model is writable
+						expect(db.store.w.writable).toBe(true)
+						return db.exec(`INSERT INTO u VALUES ('x')`)
+					},
+				})
+				const m = db.addModel(
+					class W {
+						name = 'w'
+
+						setWritable(v) {
+							this.writable = v
+						}
+					}
+				)
+				expect(await db.runMigrations({dryRun: true})).toEqual({
+					migrations: [
+						{
+							runKey: 'a m',
+							undo: false,
+							queries: [{sql: 'CREATE TABLE t(v)'}],
+							changes: 0,
+						},
+						{
+							runKey: 'b m',
+							undo: false,
+							queries: [
+								{
+									sql: 'INSERT INTO t VALUES (?), (?)',
+									vars: [1, 2],
+									changes: 2,
+								},
+							],
+							changes: 2,
+						},
+						{
+							runKey: 'c m',
+							undo: false,
+							queries: [{sql: `INSERT INTO u VALUES ('x')`}],
+							changes: 1,
+						},
+					],
+					changes: 3,
+				})
+				expect(db._sqlite).toBeFalsy()
+				expect(db.migrationsRan).toBeFalsy()
+				expect(m).not.toHaveProperty('writable')
+				// Everything was rolled back
+				expect((await db.getMigrationStatus()).map(s => s.state)).toEqual([
+					'pending',
+					'pending',
+					'pending',
+				])
+				await expect(db.runMigrations()).resolves.toBeUndefined()
+				expect(await db.all(`SELECT * FROM t`)).toEqual([{v: 1}, {v: 2}])
+				expect(await db.runMigrations({dryRun: true})).toEqual({
+					migrations: [],
+					changes: 0,
+				})
+				await db.close()
+			},
+			{unsafeCleanup: true, prefix: 'dryrun'}
+		))
+
+	test('runMigrations dryRun in memory', async () => {
+		const db = new DB()
+		db.registerMigrations('m', {
+			...migrations,
+			c: {
+				up: db => db.exec(`INSERT INTO t VALUES (3)`),
+				needed: async db => !!(await db.get(`SELECT 1 FROM t WHERE v = 9`)),
+			},
+		})
+		// Not opened yet, so the migrations would run on an empty DB
+		expect(
+			(await db.runMigrations({dryRun: true})).migrations.map(m => m.runKey)
+		).toEqual(['a m', 'b m'])
+		expect(db._sqlite).toBeFalsy()
+		await db.exec(`INSERT INTO t VALUES (9)`)
+		// The open DB is used, not a new empty one
+		expect(await db.runMigrations({dryRun: true})).toEqual({
+			migrations: [
+				{
+					runKey: 'c m',
+					undo: false,
+					queries: [{sql: `INSERT INTO t VALUES (3)`}],
+					changes: 1,
+				},
+			],
+			changes: 1,
+		})
+		expect(await db.all(`SELECT v FROM t`)).toEqual([{v: 1}, {v: 2}, {v: 9}])
+		expect(await db.getMigrationStatus()).toContainEqual({
+			runKey: 'c m',
+			state: 'pending',
+		})
+		await db.close()
+	})
+})
+
+describe('schemaVersion', () => {
+	test('invalid', () => {
+		expect(() => new DB({schemaVersion: 0.5})).toThrow('schemaVersion')
+		expect(() => new DB({schemaVersion: 2 ** 31})).toThrow('schemaVersion')
+		expect(() => new DB({schemaVersion: 'hi'})).toThrow('schemaVersion')
+	})
+
+	test('numeric', () =>
+		tmp.withDir(
+			async ({path: dir}) => {
+				const file = sysPath.join(dir, 'db')
+				const makeDb = schemaVersion => {
+					const db = new DB({file, schemaVersion})
+					db.registerMigrations('m', {t: db => db.exec(`CREATE TABLE t(v)`)})
+					const onChange = jest.fn()
+					db.on('schemaChanged', onChange)
+					return {db, onChange}
+				}
+				const {db: db1, onChange: onChange1} = makeDb(1)
+				await db1.run(`INSERT INTO t VALUES (1)`)
+				expect(await db1.get(`PRAGMA application_id`)).toHaveProperty(
+					'application_id',
+					1
+				)
+				await db1.dataVersion()
+				expect(onChange1).not.toHaveBeenCalled()
+
+				const {db: db2, onChange: onChange2} = makeDb(2)
+				await db2.open()
+				expect(await db2.get(`PRAGMA application_id`)).toHaveProperty(
+					'application_id',
+					2
+				)
+				await db1.dataVersion()
+				expect(onChange1).toHaveBeenCalledWith({schemaVersion: 1, found: 2})
+				expect(db1.schemaChanged).toBe(true)
+				await expect(db1.run(`INSERT INTO t VALUES (2)`)).rejects.toThrow(
+					'SQLITE_READONLY'
+				)
+				await expect(db1.withTransaction(() => {})).rejects.toThrow(
+					'schema version changed'
+				)
+				// Reads still work
+				expect(await db1.all(`SELECT * FROM t`)).toEqual([{v: 1}])
+
+				// An old process doesn't overwrite the new version
+				const {db: db3, onChange: onChange3} = makeDb(1)
+				await db3.open()
+				expect(onChange3).toHaveBeenCalledWith({schemaVersion: 1, found: 2})
+				expect(await db3.get(`PRAGMA application_id`)).toHaveProperty(
+					'application_id',
+					2
+				)
+				await db2.run(`INSERT INTO t VALUES (3)`)
+				await db2.dataVersion()
+				expect(onChange2).not.toHaveBeenCalled()
+				await Promise.all([db1.close(), db2.close(), db3.close()])
+			},
+			{unsafeCleanup: true, prefix: 'schemav'}
+		))
+
+	test('migrations hash', () =>
+		tmp.withDir(
+			async ({path: dir}) => {
+				const file = sysPath.join(dir, 'db')
+				const makeDb = migrations => {
+					const db = new DB({file, schemaVersion: true})
+					db.registerMigrations('m', migrations)
+					const onChange = jest.fn()
+					db.on('schemaChanged', onChange)
+					return {db, onChange}
+				}
+				const {db: db1, onChange: onChange1} = makeDb({a: () => {}})
+				await db1.open()
+				const {application_id: v1} = await db1.get(`PRAGMA application_id`)
+				expect(v1).not.toBe(0)
+
+				const {db: db2} = makeDb({a: () => {}, b: () => {}})
+				await db2.open()
+				const {application_id: v2} = await db2.get(`PRAGMA application_id`)
+				expect(v2).not.toBe(v1)
+				await db1.dataVersion()
+				expect(onChange1).toHaveBeenCalledWith({schemaVersion: v1, found: v2})
+
+				// b ran, so this process is older
+				const {db: db3, onChange: onChange3} = makeDb({a: () => {}})
+				await db3.open()
+				expect(onChange3).toHaveBeenCalledWith({schemaVersion: v1, found: v2})
+				expect(await db3.get(`PRAGMA application_id`)).toHaveProperty(
+					'application_id',
+					v2
+				)
+				await Promise.all([db1.close(), db2.close(), db3.close()])
+			},
+			{unsafeCleanup: true, prefix: 'schemah'}
+		))
+})
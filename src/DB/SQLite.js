@@ -3,17 +3,40 @@ import path from 'path'
 import debug from 'debug'
 import {performance} from 'perf_hooks'
 import {inspect} from 'util'
-import sqlite3 from 'sqlite3'
 import Statement from './Statement'
+import {getDriver} from './drivers'
 import {EventEmitter} from 'events'
 
 const dbg = debug('strato-db/sqlite')
 const dbgQ = dbg.extend('query')
 
-const RETRY_COUNT = 10
-
 const wait = ms => new Promise(r => setTimeout(r, ms))
-const busyWait = () => wait(200 + Math.floor(Math.random() * 1000))
+
+/**
+ * When and how to retry failing operations
+ * @typedef RetryPolicy
+ * @type {object}
+ * @property {number} attempts - the maximum amount of retries
+ * @property {number} delay - ms to wait before retrying
+ * @property {number} jitter - maximum random ms added to the delay
+ * @property {Array<string>} codes - the error codes that should be retried
+ */
+
+/** @type {RetryPolicy} */
+const defaultOpenRetry = {
+	attempts: 5,
+	delay: process.env.NODE_ENV === 'test' ? 10 : 1000,
+	jitter: process.env.NODE_ENV === 'test' ? 0 : 1000,
+	codes: ['SQLITE_CANTOPEN'],
+}
+
+/** @type {RetryPolicy} */
+const defaultBusyRetry = {
+	attempts: 10,
+	delay: 200,
+	jitter: 1000,
+	codes: ['SQLITE_BUSY'],
+}
 
 const getDuration = ts =>
 	(performance.now() - ts).toLocaleString(undefined, {
@@ -36,6 +59,50 @@ export const valToSql = v => {
 
 const isBusyError = err => err.code === 'SQLITE_BUSY'
 
+const loggedMethods = new Set(['all', 'get', 'run', 'exec', 'each'])
+// eslint-disable-next-line max-params
+const logQuery = (queryLog, isStmt, stmt, args, meta) => {
+	const vars = args && (isStmt ? args : args[1])
+	const entry = {
+		sql: isStmt ? stmt.sql : String(args[0]),
+		vars: typeof vars === 'function' ? undefined : vars,
+	}
+	if (meta) entry.changes = meta.changes
+	queryLog.push(entry)
+}
+
+const columnDefSql = col => {
+	if (typeof col === 'string') return col
+	const {type, primaryKey, notNull, default: dflt} = col
+	return [
+		type,
+		primaryKey && 'PRIMARY KEY',
+		notNull && 'NOT NULL',
+		dflt !== undefined && `DEFAULT ${valToSql(dflt)}`,
+	]
+		.filter(Boolean)
+		.join(' ')
+}
+
+const INDEX_PREFIX = '_sdb_'
+const getIndexName = (tableName, name) => `${INDEX_PREFIX}${tableName}_${name}`
+
+// This is exactly how SQLite stores it in sqlite_master, so we can detect changes
+const makeIndexSql = (
+	tableName,
+	{name, columns, expression, where, unique}
+) => {
+	if (!name) throw new TypeError(`${tableName}: index name is required`)
+	if (!columns === !expression)
+		throw new TypeError(
+			`${tableName}: index ${name} needs either columns or expression`
+		)
+	const what = expression || columns.map(c => quoteSqlId(c)).join(', ')
+	return `CREATE ${unique ? 'UNIQUE ' : ''}INDEX ${quoteSqlId(
+		getIndexName(tableName, name)
+	)} ON ${quoteSqlId(tableName)}(${what})${where ? ` WHERE ${where}` : ''}`
+}
+
 /**
  * sql provides templating for SQL.
  *
@@ -78,7 +145,7 @@ sql.quoteId = quoteSqlId
 let connId = 1
 
 /**
- * SQLite is a wrapper around a single SQLite connection (via node-sqlite3).
+ * SQLite is a wrapper around a single SQLite connection (via node-sqlite3 or better-sqlite3).
  * It provides a Promise API, lazy opening, auto-cleaning prepared statements
  * and safe ``db.run`select * from foo where bar=${bar}` `` templating.
  * @extends EventEmitter
@@ -96,6 +163,10 @@ class SQLite extends EventEmitter {
 	 * @param  {boolean} [options.autoVacuum] run incremental vacuum
 	 * @param  {number} [options.vacuumInterval] seconds between incremental vacuums
 	 * @param  {number} [options.vacuumPageCount] number of pages to clean per vacuum
+	 * @param  {number} [options.sweepInterval] seconds between runs of the functions registered with `addSweeper`
+	 * @param  {Partial<RetryPolicy>} [options.openRetry] retry policy for opening, by default retries SQLITE_CANTOPEN 5 times after ~1.5s
+	 * @param  {Partial<RetryPolicy>} [options.busyRetry] retry policy for queries and transactions, by default retries SQLITE_BUSY 10 times after ~0.7s
+	 * @param  {string|Driver} [options.driver='sqlite3'] `sqlite3`, `better-sqlite3` (in a worker thread), `better-sqlite3-sync` (in the main thread) or a custom driver
 	 * @param  {object} [options._sqlite] sqlite instance for child dbs
 	 * @param  {object} [options._store={}] models registry for child dbs
 	 * @param  {object} [options._statements={}] statements registry for child dbs
@@ -109,7 +180,11 @@ class SQLite extends EventEmitter {
 		autoVacuum = false,
 		vacuumInterval = 30, // seconds while vacuuming
 		vacuumPageCount = 1024 / 4, // 1MB in 4k pages
+		sweepInterval = 60,
 		name,
+		driver,
+		openRetry,
+		busyRetry,
 		_sqlite,
 		_store = {},
 		_statements = {},
@@ -124,10 +199,15 @@ class SQLite extends EventEmitter {
 		// Are we in withTransaction?
 		this.inTransaction = false
 		this.readOnly = readOnly
+		this.driver = getDriver(driver)
 		this._isChild = !!_sqlite
 		this._sqlite = _sqlite
 		this.store = _store
 		this.statements = _statements
+		this._iterators = new Set()
+		this._sweepers = new Set()
+		// Set to an array to record the executed queries
+		this._queryLog = undefined
 		this.options = {
 			onWillOpen,
 			onDidOpen,
@@ -135,6 +215,9 @@ class SQLite extends EventEmitter {
 			autoVacuum,
 			vacuumInterval,
 			vacuumPageCount,
+			sweepInterval,
+			openRetry: {...defaultOpenRetry, ...openRetry},
+			busyRetry: {...defaultBusyRetry, ...busyRetry},
 		}
 		this.dbP = new Promise(resolve => {
 			this._resolveDbP = resolve
@@ -161,29 +244,37 @@ class SQLite extends EventEmitter {
 
 		dbg(`${this.name} opening ${this.file}`)
 
-		const _sqlite = await new Promise((resolve, reject) => {
-			if (verbose) sqlite3.verbose()
-			const mode = readOnly
-				? sqlite3.OPEN_READONLY
-				: sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE
-			const db = new sqlite3.Database(file, mode, err => {
-				if (err) reject(new Error(`${file}: ${err.message}`))
-				else resolve(db)
-			})
-		})
-
-		// Wait for locks
-		_sqlite.configure(
-			'busyTimeout',
-			process.env.NODE_ENV === 'test'
-				? 10
-				: 1000 + Math.floor(Math.random() * 500)
-		)
+		let _sqlite
+		for (let attempt = 1; !_sqlite; attempt++) {
+			try {
+				// eslint-disable-next-line no-await-in-loop
+				_sqlite = await this.driver.open({
+					file,
+					readOnly,
+					verbose,
+					// Wait for locks
+					busyTimeout:
+						process.env.NODE_ENV === 'test'
+							? 10
+							: 1000 + Math.floor(Math.random() * 500),
+				})
+			} catch (err) {
+				const error = new Error(`${file}: ${err.message}`)
+				// @ts-ignore
+				error.code = err.code
+				const ms = this._retryDelay('open', attempt, error)
+				if (ms == null) throw error
+				// eslint-disable-next-line no-await-in-loop
+				await wait(ms)
+			}
+		}
 
 		const childDb = new SQLite({
 			file: this.file,
 			readOnly: this.readOnly,
 			name: this.name,
+			driver: this.driver,
+			busyRetry: this.options.busyRetry,
 			_sqlite,
 			_store: this.store,
 		})
@@ -239,6 +330,8 @@ class SQLite extends EventEmitter {
 				2 * 3600 * 1000
 			)
 			this._optimizerToken.unref()
+			this._canSweep = true
+			this._startSweeper()
 
 			if (this.options.onDidOpen) await this.options.onDidOpen(childDb)
 			await childDb.close()
@@ -286,11 +379,18 @@ class SQLite extends EventEmitter {
 			clearInterval(this._vacuumToken)
 			this._vacuumToken = null
 		}
+		if (this._sweepToken) {
+			clearInterval(this._sweepToken)
+			this._sweepToken = null
+		}
+		this._canSweep = false
 		const {_sqlite} = this
 		this._sqlite = null
 
 		// eslint-disable-next-line no-await-in-loop
 		for (const stmt of Object.values(this.statements)) await stmt.finalize()
+		// eslint-disable-next-line no-await-in-loop
+		for (const it of this._iterators) await it.finalize()
 
 		// We only want to close our own statements, not the db
 		if (this._isChild) {
@@ -327,6 +427,7 @@ class SQLite extends EventEmitter {
 		}
 
 		const now = dbgQ.enabled ? performance.now() : undefined
+		const queryLog = loggedMethods.has(method) ? this._queryLog : undefined
 		let fnResult
 		const result = new Promise((resolve, reject) => {
 			// eslint-disable-next-line prefer-const
@@ -334,25 +435,26 @@ class SQLite extends EventEmitter {
 			const runQuery = () => {
 				fnResult = _sqlite[method](...(args || []), cb)
 			}
-			let busyRetry = RETRY_COUNT
+			let attempt = 0
+			const retryOrReject = error => {
+				const ms = this._retryDelay('busy', ++attempt, error)
+				if (ms == null) reject(error)
+				else setTimeout(runQuery, ms)
+			}
 			// We need to consume `this` from sqlite3 callback
 			cb = function (err, out) {
 				if (err) {
-					if (isBusyError(err) && busyRetry--) {
-						return busyWait().then(runQuery)
-					}
 					const error = new Error(`${name}: sqlite3: ${err.message}`)
 					// @ts-ignore
 					error.code = err.code
-					reject(error)
-				} else
-					resolve(
-						returnFn
-							? fnResult
-							: returnThis
-							? {lastID: this.lastID, changes: this.changes}
-							: out
-					)
+					retryOrReject(error)
+				} else {
+					const meta = returnThis
+						? {lastID: this.lastID, changes: this.changes}
+						: undefined
+					if (queryLog) logQuery(queryLog, isStmt, obj, args, meta)
+					resolve(returnFn ? fnResult : returnThis ? meta : out)
+				}
 			}
 			if (!_sqlite[method])
 				return cb({message: `method ${method} not supported`})
@@ -441,7 +543,7 @@ class SQLite extends EventEmitter {
 
 	/**
 	 * Run the given query and call the function on each item.
-	 * Note that node-sqlite3 seems to just fetch all data in one go.
+	 * Note that node-sqlite3 seems to just fetch all data in one go, use {@link iterate} for large results.
 	 * @param {string} sql - the SQL statement to be executed
 	 * @param {Array<*>} [vars] - the variables to be bound to the statement
 	 * @param {function(object): Promise<void>} cb - the function to call on each row
@@ -457,6 +559,64 @@ class SQLite extends EventEmitter {
 		return this._call('each', args, this._sqlite, this.name)
 	}
 
+	/**
+	 * Iterate over the rows of the given query with `for await`.
+	 * The rows are fetched in batches, and the next batch is only fetched
+	 * once the previous one was consumed. Breaking out of the loop finalizes
+	 * the statement.
+	 * @param {string} sql - the SQL statement to be executed
+	 * @param {Array<*>|object} [vars] - the variables to be bound to the statement
+	 * @param {object} [options]
+	 * @param {number} [options.batchSize=50] - the amount of rows to fetch at once
+	 * @returns {AsyncGenerator<object>} - the rows
+	 */
+	async *iterate(sql, vars, {batchSize = 50} = {}) {
+		const _sqlite = await this._hold('iterate')
+		const name = `${this.name}{iterate}`
+		// Not a cached Statement, because we need to keep it stepping
+		const stmt = {
+			isStatement: true,
+			sql,
+			_stmt: await this._call('prepare', [sql], _sqlite, name, false, true),
+			finalize: () => {
+				const {_stmt} = stmt
+				if (!_stmt) return
+				delete stmt._stmt
+				this._iterators.delete(stmt)
+				return new Promise(resolve => _stmt.finalize(() => resolve()))
+			},
+		}
+		this._iterators.add(stmt)
+		try {
+			if (vars && (!Array.isArray(vars) || vars.length))
+				await this._call(
+					'bind',
+					Array.isArray(vars) ? vars : [vars],
+					stmt,
+					name
+				)
+			let done = false
+			while (!done) {
+				// node-sqlite3 keeps stepping the statement on every .get() and
+				// returns nothing after the last row
+				const batch = []
+				for (let i = 0; i < batchSize; i++)
+					batch.push(this._call('get', [], stmt, name))
+				// eslint-disable-next-line no-await-in-loop
+				const rows = await Promise.all(batch)
+				for (const row of rows) {
+					if (!row) {
+						done = true
+						break
+					}
+					yield row
+				}
+			}
+		} finally {
+			await stmt.finalize()
+		}
+	}
+
 	/**
 	 * Returns the data_version, which increases when other connections write
 	 * to the database.
@@ -492,6 +652,119 @@ class SQLite extends EventEmitter {
 		return v
 	}
 
+	/**
+	 * A column definition for `ensureTable`. A string is used as the column
+	 * definition SQL, e.g. `'INTEGER PRIMARY KEY'`.
+	 * @typedef TableColumn
+	 * @type {string|object}
+	 * @property {string} [type] - the column type
+	 * @property {boolean} [primaryKey] - is this the primary key
+	 * @property {boolean} [notNull] - add a NOT NULL constraint
+	 * @property {*} [default] - the default value
+	 */
+
+	/**
+	 * Create the table if it doesn't exist, and add missing columns otherwise.
+	 * Existing columns are not changed or removed.
+	 * @param {string} tableName - the table name
+	 * @param {Record<string, TableColumn>} columns - the column definitions
+	 * @returns {Promise<void>} - promise for completion
+	 */
+	async ensureTable(tableName, columns) {
+		const tableQuoted = quoteSqlId(tableName)
+		const defs = Object.entries(columns).map(([name, col]) => [
+			name,
+			`${quoteSqlId(name)} ${columnDefSql(col)}`.trim(),
+		])
+		if (!defs.length) throw new TypeError(`${tableName}: no columns given`)
+		await this._inTransaction(async () => {
+			const info = await this.all(`PRAGMA table_info(${tableQuoted})`)
+			if (!info.length) {
+				dbg(`${this.name}: creating table ${tableName}`)
+				await this.exec(
+					`CREATE TABLE ${tableQuoted}(${defs.map(d => d[1]).join(', ')})`
+				)
+				return
+			}
+			const existing = new Set(info.map(c => c.name))
+			for (const [name, def] of defs) {
+				if (existing.has(name)) continue
+				dbg(`${this.name}: adding column ${tableName}.${name}`)
+				// eslint-disable-next-line no-await-in-loop
+				await this.exec(`ALTER TABLE ${tableQuoted} ADD COLUMN ${def}`)
+			}
+		})
+	}
+
+	/**
+	 * An index definition for `ensureIndexes`. Give either `columns` or `expression`.
+	 * @typedef TableIndex
+	 * @type {object}
+	 * @property {string} name - the index name, unique per table
+	 * @property {Array<string>} [columns] - the indexed column names
+	 * @property {string} [expression] - the indexed SQL expression(s)
+	 * @property {string} [where] - SQL condition for a partial index
+	 * @property {boolean} [unique] - create a unique index
+	 */
+
+	/**
+	 * Create missing indexes on a table and recreate the ones whose definition
+	 * changed. The indexes are stored as `_sdb_<tableName>_<name>`.
+	 * @param {string} tableName - the table name
+	 * @param {Array<TableIndex>} indexes - the index definitions
+	 * @param {boolean} [dropUnused] - drop other `_sdb_` indexes on the table
+	 * @returns {Promise<void>} - promise for completion
+	 */
+	async ensureIndexes(tableName, indexes, dropUnused) {
+		const wanted = new Map()
+		for (const index of indexes) {
+			const indexSql = makeIndexSql(tableName, index)
+			const name = getIndexName(tableName, index.name)
+			if (wanted.has(name))
+				throw new TypeError(`${tableName}: duplicate index ${index.name}`)
+			wanted.set(name, indexSql)
+		}
+		await this._inTransaction(async () => {
+			const list = await this.all(`PRAGMA index_list(${quoteSqlId(tableName)})`)
+			if (!list.length && !(await this._tableExists(tableName)))
+				throw new Error(`${tableName}: table does not exist`)
+			const current = {}
+			for (const {name} of list) {
+				if (!name.startsWith(INDEX_PREFIX)) continue
+				// eslint-disable-next-line no-await-in-loop
+				const row = await this.get(
+					`SELECT sql FROM sqlite_master WHERE type='index' AND name=?`,
+					[name]
+				)
+				current[name] = row && row.sql
+			}
+			for (const name of Object.keys(current)) {
+				const indexSql = wanted.get(name)
+				if (indexSql === current[name] || (!indexSql && !dropUnused)) continue
+				dbg(`${this.name}: dropping index ${name}`)
+				// eslint-disable-next-line no-await-in-loop
+				await this.exec(`DROP INDEX ${quoteSqlId(name)}`)
+			}
+			for (const [name, indexSql] of wanted) {
+				if (current[name] === indexSql) continue
+				dbg(`${this.name}: creating index ${name}`)
+				// eslint-disable-next-line no-await-in-loop
+				await this.exec(indexSql)
+			}
+		})
+	}
+
+	async _tableExists(tableName) {
+		return !!(await this.get(
+			`SELECT 1 FROM sqlite_master WHERE type='table' AND name=?`,
+			[tableName]
+		))
+	}
+
+	_inTransaction(fn) {
+		return this.inTransaction ? fn() : this.withTransaction(fn)
+	}
+
 	transactionP = Promise.resolve()
 
 	/**
@@ -513,17 +786,18 @@ class SQLite extends EventEmitter {
 		return this.transactionP
 	}
 
-	async __withTransaction(fn, busyRetry = RETRY_COUNT) {
+	async __withTransaction(fn, attempt = 1) {
 		try {
 			this.inTransaction = true
 			await this.exec(`BEGIN IMMEDIATE`)
 			this.emit('begin')
 		} catch (error) {
-			if (isBusyError(error) && busyRetry) {
-				// Transaction already running
-				if (busyRetry === RETRY_COUNT) dbg(`${this.name} DB is busy, retrying`)
-				await busyWait()
-				return this.__withTransaction(fn, busyRetry - 1)
+			// Transaction already running
+			const ms = this._retryDelay('busy', attempt, error)
+			if (ms != null) {
+				if (attempt === 1) dbg(`${this.name} DB is busy, retrying`)
+				await wait(ms)
+				return this.__withTransaction(fn, attempt + 1)
 			}
 			this.inTransaction = false
 			throw error
@@ -551,6 +825,22 @@ class SQLite extends EventEmitter {
 		return result
 	}
 
+	/**
+	 * Get the delay before retrying, if the retry policy allows it.
+	 * Emits a `retry` event with `{reason, attempt, delay, error}`.
+	 * @param {'open'|'busy'} reason - which retry policy to use
+	 * @param {number} attempt - the number of this retry, starting at 1
+	 * @param {Error & {code?: string}} error - the error that occurred
+	 * @returns {number|undefined} - ms to wait, or undefined to give up
+	 */
+	_retryDelay(reason, attempt, error) {
+		const {attempts, delay, jitter, codes} = this.options[`${reason}Retry`]
+		if (attempt > attempts || !codes.includes(error.code)) return
+		const ms = delay + Math.floor(Math.random() * jitter)
+		this.emit('retry', {reason, attempt, delay: ms, error})
+		return ms
+	}
+
 	async _vacuumStep() {
 		if (!this._sqlite) return
 		const {vacuumInterval, vacuumPageCount} = this.options
@@ -563,6 +853,42 @@ class SQLite extends EventEmitter {
 		const t = setTimeout(() => this._vacuumStep(), vacuumInterval * 1000)
 		t.unref()
 	}
+
+	/**
+	 * Register a function that is called every `sweepInterval` seconds while the
+	 * database is open for writing, for example to remove expired rows. The
+	 * functions run one after the other and their errors are only logged.
+	 * @param {function} fn - the function, it can return a Promise
+	 * @returns {function} - call it to unregister
+	 */
+	addSweeper(fn) {
+		this._sweepers.add(fn)
+		this._startSweeper()
+		return () => this._sweepers.delete(fn)
+	}
+
+	_startSweeper() {
+		if (this._sweepToken || !this._canSweep || !this._sweepers.size) return
+		this._sweepToken = setInterval(
+			() => this._sweepStep(),
+			this.options.sweepInterval * 1000
+		)
+		this._sweepToken.unref()
+	}
+
+	async _sweepStep() {
+		if (this._sweeping) return
+		this._sweeping = true
+		for (const fn of this._sweepers) {
+			if (!this._sqlite) break
+			try {
+				await fn() // eslint-disable-line no-await-in-loop
+			} catch (error) {
+				dbg(`${this.name} sweeper failed`, error)
+			}
+		}
+		this._sweeping = false
+	}
 }
 
 export default SQLite
@@ -1,6 +1,7 @@
 import sysPath from 'path'
 import tmp from 'tmp-promise'
 import SQLite, {sql, valToSql} from './SQLite'
+import {getDriver} from './drivers'
 
 const wait = ms => new Promise(resolve => setTimeout(resolve, ms))
 
@@ -87,6 +88,51 @@ test('each()', async () => {
 	await db.close()
 })
 
+test('iterate()', async () => {
+	const db = new SQLite()
+	await db.exec(`
+		CREATE TABLE foo(hi NUMBER);
+		WITH RECURSIVE c(x) AS (SELECT 1 UNION ALL SELECT x+1 FROM c WHERE x<10)
+		INSERT INTO foo SELECT x FROM c;
+	`)
+	const arr = []
+	for await (const {hi} of db.iterate(`SELECT * FROM foo WHERE hi>?`, [3], {
+		batchSize: 3,
+	}))
+		arr.push(hi)
+	expect(arr).toEqual([4, 5, 6, 7, 8, 9, 10])
+	const named = []
+	for await (const {hi} of db.iterate(`SELECT * FROM foo WHERE hi<$max`, {
+		$max: 3,
+	}))
+		named.push(hi)
+	expect(named).toEqual([1, 2])
+	await db.close()
+})
+
+test('iterate() break', async () => {
+	const db = new SQLite()
+	await db.exec(
+		`CREATE TABLE foo(hi NUMBER); INSERT INTO foo VALUES (1),(2),(3);`
+	)
+	const arr = []
+	for await (const {hi} of db.iterate(`SELECT * FROM foo`, [], {
+		batchSize: 1,
+	})) {
+		arr.push(hi)
+		// We can write while iterating
+		await db.run(`INSERT INTO foo VALUES (?)`, [hi + 10])
+		if (arr.length === 2) break
+	}
+	expect(arr).toEqual([1, 2])
+	expect(db._iterators.size).toBe(0)
+	// An unfinished iteration doesn't prevent closing
+	const it = db.iterate(`SELECT * FROM foo`)
+	await it.next()
+	expect(db._iterators.size).toBe(1)
+	await expect(db.close()).resolves.toBeUndefined()
+})
+
 test('close()', async () => {
 	const db = new SQLite()
 	await db.exec(`
@@ -225,6 +271,85 @@ test('open: errors with filename', async () => {
 	await expect(db._openDB()).rejects.toThrow('/oienu/ieoienien')
 })
 
+test('open: retries SQLITE_CANTOPEN', async () => {
+	let fails = 2
+	const driver = {
+		name: 'flaky',
+		open: options => {
+			if (fails-- > 0) {
+				const error = new Error('SQLITE_CANTOPEN: unable to open')
+				// @ts-ignore
+				error.code = 'SQLITE_CANTOPEN'
+				return Promise.reject(error)
+			}
+			return getDriver('sqlite3').open(options)
+		},
+	}
+	const db = new SQLite({driver, openRetry: {delay: 1, jitter: 0}})
+	const retries = []
+	db.on('retry', r => retries.push(r))
+	await expect(db.get('SELECT 1 AS v')).resolves.toEqual({v: 1})
+	expect(retries).toEqual([
+		expect.objectContaining({reason: 'open', attempt: 1, delay: 1}),
+		expect.objectContaining({reason: 'open', attempt: 2, delay: 1}),
+	])
+	expect(retries[0].error).toHaveProperty('code', 'SQLITE_CANTOPEN')
+	await db.close()
+
+	fails = 5
+	const db2 = new SQLite({driver, openRetry: {attempts: 2, delay: 1}})
+	await expect(db2._openDB()).rejects.toHaveProperty('code', 'SQLITE_CANTOPEN')
+	expect(fails).toBe(2)
+})
+
+test('open: does not retry other errors', async () => {
+	const driver = {
+		name: 'broken',
+		open: () => Promise.reject(new Error('nope')),
+	}
+	const db = new SQLite({driver, openRetry: {delay: 1}})
+	const onRetry = jest.fn()
+	db.on('retry', onRetry)
+	await expect(db._openDB()).rejects.toThrow('nope')
+	expect(onRetry).not.toHaveBeenCalled()
+})
+
+test('busyRetry', () =>
+	tmp.withDir(
+		async ({path: dir}) => {
+			const file = sysPath.join(dir, 'db')
+			const db = new SQLite({file})
+			const db2 = new SQLite({
+				file,
+				busyRetry: {attempts: 2, delay: 1, jitter: 0},
+			})
+			await db.exec(`CREATE TABLE t(v)`)
+			const retries = []
+			db2.on('retry', r => retries.push(r))
+			let release
+			const p = db.withTransaction(
+				() =>
+					new Promise(resolve => {
+						release = resolve
+					})
+			)
+			await wait(10)
+			await expect(db2.run(`INSERT INTO t VALUES (1)`)).rejects.toHaveProperty(
+				'code',
+				'SQLITE_BUSY'
+			)
+			expect(retries.map(r => [r.reason, r.attempt])).toEqual([
+				['busy', 1],
+				['busy', 2],
+			])
+			release()
+			await p
+			await db2.run(`INSERT INTO t VALUES (1)`)
+			await Promise.all([db.close(), db2.close()])
+		},
+		{unsafeCleanup: true, prefix: 'busyRetry'}
+	))
+
 test('SQLite methods: errors with filename', async () => {
 	const db = new SQLite()
 	await expect(db.run('bad sql haha')).rejects.toHaveProperty(
@@ -308,3 +433,89 @@ test('10 simultaneous opens', async () => {
 		{unsafeCleanup: true, prefix: 'sq-open'}
 	)
 })
+
+test('ensureTable', async () => {
+	const db = new SQLite()
+	await db.ensureTable('t', {
+		id: 'INTEGER PRIMARY KEY',
+		name: {type: 'TEXT', notNull: true, default: ''},
+	})
+	await db.run(`INSERT INTO t(id) VALUES (1)`)
+	expect(await db.all(`SELECT * FROM t`)).toEqual([{id: 1, name: ''}])
+	await db.ensureTable('t', {
+		id: 'INTEGER PRIMARY KEY',
+		name: {type: 'TEXT', notNull: true, default: ''},
+		count: {type: 'INTEGER', default: 5},
+		other: {},
+	})
+	const info = await db.all(`PRAGMA table_info(t)`)
+	expect(
+		info.map(c => [c.name, c.type, c.notnull, c.dflt_value, c.pk])
+	).toEqual([
+		['id', 'INTEGER', 0, null, 1],
+		['name', 'TEXT', 1, "''", 0],
+		['count', 'INTEGER', 0, '5', 0],
+		['other', '', 0, null, 0],
+	])
+	expect(await db.all(`SELECT * FROM t`)).toEqual([
+		{id: 1, name: '', count: 5, other: null},
+	])
+	await expect(db.ensureTable('t', {})).rejects.toThrow('no columns')
+	await db.close()
+})
+
+test('ensureIndexes', async () => {
+	const db = new SQLite()
+	await db.exec(`CREATE TABLE t(a, b); CREATE INDEX mine ON t(a)`)
+	const getIndexes = () =>
+		db.all(
+			`SELECT name, sql FROM sqlite_master WHERE type='index' ORDER BY name`
+		)
+	await db.ensureIndexes('t', [
+		{name: 'a', columns: ['a', 'b']},
+		{name: 'b', expression: 'b+1', where: 'b IS NOT NULL', unique: true},
+	])
+	expect(await getIndexes()).toEqual([
+		{name: '_sdb_t_a', sql: 'CREATE INDEX "_sdb_t_a" ON "t"("a", "b")'},
+		{
+			name: '_sdb_t_b',
+			sql: 'CREATE UNIQUE INDEX "_sdb_t_b" ON "t"(b+1) WHERE b IS NOT NULL',
+		},
+		{name: 'mine', sql: 'CREATE INDEX mine ON t(a)'},
+	])
+	const execs = []
+	const origExec = db.exec.bind(db)
+	db.exec = (...args) => {
+		execs.push(args[0])
+		return origExec(...args)
+	}
+	// unchanged indexes are kept, changed ones recreated, unused ones kept
+	await db.ensureIndexes('t', [{name: 'b', expression: 'b+2'}])
+	expect(execs.filter(s => /INDEX/.test(s))).toEqual([
+		'DROP INDEX "_sdb_t_b"',
+		'CREATE INDEX "_sdb_t_b" ON "t"(b+2)',
+	])
+	expect((await getIndexes()).map(i => i.name)).toEqual([
+		'_sdb_t_a',
+		'_sdb_t_b',
+		'mine',
+	])
+	execs.splice(0)
+	await db.ensureIndexes('t', [{name: 'b', expression: 'b+2'}], true)
+	expect(execs.filter(s => /INDEX/.test(s))).toEqual(['DROP INDEX "_sdb_t_a"'])
+	// indexes without the prefix are never dropped
+	expect((await getIndexes()).map(i => i.name)).toEqual(['_sdb_t_b', 'mine'])
+	await expect(db.ensureIndexes('t', [{name: 'c'}])).rejects.toThrow(
+		'either columns or expression'
+	)
+	await expect(
+		db.ensureIndexes('t', [
+			{name: 'c', columns: ['a']},
+			{name: 'c', columns: ['b']},
+		])
+	).rejects.toThrow('duplicate')
+	await expect(
+		db.ensureIndexes('nope', [{name: 'c', columns: ['a']}])
+	).rejects.toThrow('does not exist')
+	await db.close()
+})
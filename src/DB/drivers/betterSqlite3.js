@@ -0,0 +1,225 @@
+import path from 'path'
+import {Worker} from 'worker_threads'
+
+// better-sqlite3 is an optional dependency, only load it when used
+const getConnectionClass = () =>
+	require('./betterSqlite3Connection').BetterConnection
+
+const toError = ({message, code}) => {
+	const error = new Error(message)
+	// @ts-ignore
+	error.code = code
+	return error
+}
+
+// Buffers become Uint8Arrays when passed between threads
+const fixRow = row => {
+	if (row && typeof row === 'object')
+		for (const k of Object.keys(row)) {
+			const v = row[k]
+			if (v instanceof Uint8Array && !Buffer.isBuffer(v))
+				row[k] = Buffer.from(v.buffer, v.byteOffset, v.byteLength)
+		}
+	return row
+}
+
+const popFn = args =>
+	typeof args[args.length - 1] === 'function' ? args.pop() : undefined
+
+class WorkerStatement {
+	constructor(conn, id) {
+		this._conn = conn
+		this._id = id
+	}
+
+	_send(op, args) {
+		const cb = popFn(args)
+		this._conn._send(op, args, cb, this._id)
+	}
+
+	bind(...args) {
+		this._send('bind', args)
+	}
+
+	reset(...args) {
+		this._send('reset', args)
+	}
+
+	get(...args) {
+		this._send('get', args)
+	}
+
+	all(...args) {
+		this._send('all', args)
+	}
+
+	run(...args) {
+		this._send('run', args)
+	}
+
+	each(...args) {
+		this._conn._each(args, this._id)
+	}
+
+	finalize(...args) {
+		this._send('finalize', args)
+	}
+}
+
+/**
+ * A connection to a better-sqlite3 database in a worker thread,
+ * with the same API as node-sqlite3.
+ */
+class WorkerConnection {
+	constructor() {
+		this._pending = new Map()
+		// The row handlers of running `each` calls
+		this._onRows = new Map()
+		this._nextId = 1
+		this._nextStmtId = 1
+		this._worker = new Worker(path.join(__dirname, 'betterSqlite3Worker.js'))
+		// Only keep the process alive while we are waiting for results
+		this._worker.unref()
+		this._worker.on('message', this._onMessage)
+		this._worker.on('error', this._failAll)
+		this._worker.on('exit', () =>
+			this._failAll(new Error('better-sqlite3 worker exited'))
+		)
+	}
+
+	_send(op, args, cb, stmtId) {
+		const id = this._nextId++
+		if (!this._pending.size) this._worker.ref()
+		this._pending.set(id, cb)
+		this._worker.postMessage({id, op, stmtId, args})
+		return id
+	}
+
+	_onMessage = ({id, err, result, meta, rows}) => {
+		if (rows) {
+			const onRows = this._onRows.get(id)
+			if (onRows) onRows(rows.map(r => fixRow(r)))
+			return
+		}
+		const cb = this._pending.get(id)
+		this._pending.delete(id)
+		if (!this._pending.size) this._worker.unref()
+		if (!cb) return
+		if (err) return cb(toError(err))
+		if (meta) return cb.call(meta, null)
+		cb(
+			null,
+			Array.isArray(result) ? result.map(r => fixRow(r)) : fixRow(result)
+		)
+	}
+
+	_failAll = error => {
+		const cbs = [...this._pending.values()]
+		this._pending.clear()
+		this._onRows.clear()
+		for (const cb of cbs) if (cb) cb(error)
+	}
+
+	// The worker sends the rows in chunks, the last ones come with the reply
+	_each(args, stmtId) {
+		const done = popFn(args)
+		const onRow = popFn(args)
+		let count = 0
+		const onRows = rows => {
+			for (const row of rows) onRow(null, row)
+			count += rows.length
+		}
+		const id = this._send(
+			'each',
+			args,
+			(err, rows) => {
+				this._onRows.delete(id)
+				if (err) return done && done(err)
+				onRows(rows)
+				if (done) done(null, count)
+			},
+			stmtId
+		)
+		this._onRows.set(id, onRows)
+	}
+
+	open(options, cb) {
+		this._send('open', [options], cb)
+	}
+
+	configure(...args) {
+		this._send('configure', args)
+	}
+
+	exec(...args) {
+		const cb = popFn(args)
+		this._send('exec', args, cb)
+	}
+
+	all(...args) {
+		const cb = popFn(args)
+		this._send('all', args, cb)
+	}
+
+	get(...args) {
+		const cb = popFn(args)
+		this._send('get', args, cb)
+	}
+
+	run(...args) {
+		const cb = popFn(args)
+		this._send('run', args, cb)
+	}
+
+	each(...args) {
+		this._each(args)
+	}
+
+	prepare(sql, cb) {
+		const stmtId = this._nextStmtId++
+		this._send('prepare', [sql], cb, stmtId)
+		return new WorkerStatement(this, stmtId)
+	}
+
+	close(cb) {
+		this._send('close', [], err => {
+			if (err) return cb && cb(err)
+			if (cb) this._worker.once('exit', () => cb(null))
+			this._worker.terminate()
+		})
+	}
+}
+
+/**
+ * Runs better-sqlite3 in a worker thread, so the queries don't block the main thread.
+ * @type {Driver}
+ */
+export const betterSqlite3Driver = {
+	name: 'better-sqlite3',
+	open: options =>
+		new Promise((resolve, reject) => {
+			// Fail early if better-sqlite3 is not installed
+			require.resolve('better-sqlite3')
+			const conn = new WorkerConnection()
+			conn.open(options, err => {
+				if (err) {
+					conn._worker.terminate()
+					return reject(err)
+				}
+				resolve(conn)
+			})
+		}),
+}
+
+/**
+ * Runs better-sqlite3 in the main thread. This is faster for small queries,
+ * but the main thread hangs during queries and while waiting for locks.
+ * @type {Driver}
+ */
+export const betterSqlite3SyncDriver = {
+	name: 'better-sqlite3-sync',
+	open: async options => {
+		const BetterConnection = getConnectionClass()
+		return new BetterConnection(options)
+	},
+}
@@ -0,0 +1,129 @@
+import sysPath from 'path'
+import tmp from 'tmp-promise'
+import SQLite from '../SQLite'
+import DB from '../DB'
+import JsonModel from '../../JsonModel'
+import {getDriver} from '.'
+
+test('getDriver', () => {
+	expect(getDriver()).toHaveProperty('name', 'sqlite3')
+	expect(getDriver('better-sqlite3')).toHaveProperty('name', 'better-sqlite3')
+	const custom = {name: 'custom', open: () => {}}
+	expect(getDriver(custom)).toBe(custom)
+	expect(() => getDriver('nope')).toThrow('Unknown driver')
+	expect(() => new SQLite({driver: 'nope'})).toThrow('Unknown driver')
+})
+
+describe.each(['better-sqlite3', 'better-sqlite3-sync'])('%s', driver => {
+	test('queries', async () => {
+		const db = new SQLite({driver})
+		await db.exec(`CREATE TABLE t(id INTEGER PRIMARY KEY, v, b BLOB)`)
+		const buf = Buffer.from([1, 2, 3])
+		await expect(
+			db.run(`INSERT INTO t(v, b) VALUES (?, ?)`, [true, buf])
+		).resolves.toEqual({lastID: 1, changes: 1})
+		await db.run`INSERT INTO t(v) VALUES (${'hi'})`
+		expect(await db.get(`SELECT * FROM t WHERE id=$id`, {$id: 1})).toEqual({
+			id: 1,
+			v: 1,
+			b: buf,
+		})
+		expect(await db.all(`SELECT typeof(?) AS t`, [5])).toEqual([{t: 'integer'}])
+		const rows = []
+		await db.each(`SELECT id FROM t`, [], row => rows.push(row.id))
+		expect(rows).toEqual([1, 2])
+		await expect(db.run('bad sql haha')).rejects.toHaveProperty(
+			'code',
+			'SQLITE_ERROR'
+		)
+		await db.close()
+	})
+
+	test('statements', async () => {
+		const db = new SQLite({driver})
+		const s = db.prepare('SELECT ?*IFNULL(?,2) AS v')
+		expect(await s.get([5])).toEqual({v: 10})
+		expect(await s.all([2, 4])).toEqual([{v: 8}])
+		await expect(db.prepare('SELECT nope').get()).rejects.toThrow()
+		await db.close()
+	})
+
+	test('iterate while writing', async () => {
+		const db = new SQLite({driver})
+		await db.exec(`CREATE TABLE t(v); INSERT INTO t VALUES (1),(2),(3);`)
+		const seen = []
+		for await (const {v} of db.iterate(`SELECT v FROM t`, [], {
+			batchSize: 1,
+		})) {
+			seen.push(v)
+			await db.run(`INSERT INTO t VALUES (?)`, [v + 10])
+		}
+		expect(seen).toEqual([1, 2, 3])
+		expect(await db.get(`SELECT count(*) AS c FROM t`)).toEqual({c: 6})
+		await db.close()
+	})
+
+	test('each with many rows', async () => {
+		const db = new SQLite({driver})
+		const q = `WITH RECURSIVE n(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM n WHERE i < ?) SELECT i, zeroblob(2) AS b FROM n`
+		const rows = []
+		await db.each(q, [250], row => rows.push(row))
+		expect(rows).toHaveLength(250)
+		expect(rows.map(r => r.i)).toEqual(
+			Array.from({length: 250}, (_, i) => i + 1)
+		)
+		expect(rows.every(r => Buffer.isBuffer(r.b))).toBe(true)
+		const s = db.prepare(q)
+		let count = 0
+		await s.each([120], () => count++)
+		expect(count).toBe(120)
+		await expect(db.each(`SELECT nope`, [], () => {})).rejects.toThrow(
+			'no such column'
+		)
+		await db.close()
+	})
+
+	test('withTransaction', async () => {
+		const db = new SQLite({driver})
+		await db.exec(`CREATE TABLE t(v)`)
+		await db.withTransaction(() => db.run(`INSERT INTO t VALUES (1)`))
+		await expect(
+			db.withTransaction(async () => {
+				await db.run(`INSERT INTO t VALUES (2)`)
+				throw new Error('oops')
+			})
+		).rejects.toThrow('oops')
+		expect(await db.all(`SELECT v FROM t`)).toEqual([{v: 1}])
+		await db.close()
+	})
+
+	test('readOnly', async () => {
+		const db = new SQLite({driver, readOnly: true})
+		await expect(db.get('SELECT sqlite_version()')).resolves.toBeTruthy()
+		await expect(db.get('CREATE TABLE foo(id)')).rejects.toThrow(
+			'SQLITE_READONLY'
+		)
+		await db.close()
+	})
+
+	test('models and multiple connections', () =>
+		tmp.withDir(
+			async ({path: dir}) => {
+				const file = sysPath.join(dir, 'db')
+				const db = new DB({file, driver})
+				const m = db.addModel(JsonModel, {name: 'm'})
+				const db2 = new DB({file, driver: 'sqlite3'})
+				const m2 = db2.addModel(JsonModel, {name: 'm'})
+				await m.set({id: 'a', v: 1})
+				const v = await db.dataVersion()
+				await m2.set({id: 'b', v: 2})
+				expect(await db.dataVersion()).not.toBe(v)
+				expect(await m.searchAll()).toEqual([
+					{id: 'a', v: 1},
+					{id: 'b', v: 2},
+				])
+				await Promise.all([db.close(), db2.close()])
+			},
+			{unsafeCleanup: true, prefix: 'drivers'}
+		))
+})
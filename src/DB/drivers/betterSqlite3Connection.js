@@ -0,0 +1,335 @@
+// This file is CommonJS because the worker thread loads it without transpiling
+// It wraps better-sqlite3 in the callback API of node-sqlite3, so SQLite can use either
+'use strict'
+const Database = require('better-sqlite3')
+
+// node-sqlite3 always calls back asynchronously
+const defer = process.nextTick
+
+const isPlainObject = v =>
+	v != null &&
+	typeof v === 'object' &&
+	(Object.getPrototypeOf(v) === Object.prototype ||
+		Object.getPrototypeOf(v) === null)
+
+// Bind values the way node-sqlite3 does
+const toBindable = v => {
+	if (v === undefined) return null
+	if (typeof v === 'boolean') return v ? 1 : 0
+	// better-sqlite3 binds all numbers as REAL
+	if (Number.isSafeInteger(v)) return BigInt(v)
+	if (v instanceof Date) return v.getTime()
+	// Buffers become Uint8Arrays when passed to a worker
+	if (v instanceof Uint8Array && !Buffer.isBuffer(v))
+		return Buffer.from(v.buffer, v.byteOffset, v.byteLength)
+	return v
+}
+
+// node-sqlite3 accepts an array, an object with named parameters or spread values
+const normalizeParams = args => {
+	const params =
+		args.length === 1 && (Array.isArray(args[0]) || isPlainObject(args[0]))
+			? args[0]
+			: args
+	if (Array.isArray(params)) return params.map(v => toBindable(v))
+	const out = {}
+	// better-sqlite3 wants the names without prefix
+	for (const k of Object.keys(params))
+		out[k.replace(/^[$:@]/, '')] = toBindable(params[k])
+	return out
+}
+
+// node-sqlite3 binds NULL for missing parameters, better-sqlite3 throws
+const tooFewRe = /too few parameter/i
+const callWithParams = (bStmt, method, params) => {
+	const {_stmt: stmt} = bStmt
+	if (!Array.isArray(params)) return stmt[method](params)
+	let padded = params
+	if (bStmt._paramCount > params.length)
+		padded = [
+			...params,
+			...Array.from({length: bStmt._paramCount - params.length}).fill(null),
+		]
+	for (;;) {
+		try {
+			return stmt[method](...padded)
+		} catch (error) {
+			if (!tooFewRe.test(error.message)) throw error
+			padded = [...padded, null]
+			bStmt._paramCount = padded.length
+		}
+	}
+}
+
+const popFn = args =>
+	typeof args[args.length - 1] === 'function' ? args.pop() : undefined
+
+// Same messages as node-sqlite3
+const toError = e => {
+	const code =
+		e.code || (e.name === 'RangeError' ? 'SQLITE_RANGE' : 'SQLITE_MISUSE')
+	const error = new Error(`${code}: ${e.message}`)
+	error.code = code
+	return error
+}
+
+const runStmt = (bStmt, params) => {
+	if (bStmt._stmt.reader) {
+		callWithParams(bStmt, 'all', params)
+		return {lastID: 0, changes: 0}
+	}
+	const {lastInsertRowid, changes} = callWithParams(bStmt, 'run', params)
+	return {lastID: Number(lastInsertRowid), changes}
+}
+
+class BetterStatement {
+	constructor(conn, sql) {
+		this._conn = conn
+		this._params = []
+		try {
+			this._stmt = conn._db.prepare(sql)
+		} catch (error) {
+			this._error = error
+		}
+	}
+
+	_do(cb, fn) {
+		this._conn._do(cb, () => {
+			if (this._error) throw this._error
+			return fn()
+		})
+	}
+
+	_prepareRun(args) {
+		this._reset()
+		if (args.length) this._params = normalizeParams(args)
+		if (!this._stmt.reader) this._conn._releaseIterators()
+	}
+
+	_reset() {
+		if (this._iter) this._iter.return()
+		this._iter = null
+		this._rows = null
+		this._done = false
+		this._conn._iterating.delete(this)
+	}
+
+	// Read the rest of the rows so the connection is free for writing
+	_release() {
+		this._rows = [...this._iter]
+		this._iter = null
+		this._conn._iterating.delete(this)
+	}
+
+	bind(...args) {
+		const cb = popFn(args)
+		this._do(cb, () => {
+			this._reset()
+			this._params = normalizeParams(args)
+		})
+	}
+
+	reset(cb) {
+		this._do(cb, () => this._reset())
+	}
+
+	// Like node-sqlite3, each call without parameters steps to the next row
+	get(...args) {
+		const cb = popFn(args)
+		this._do(cb, () => {
+			if (args.length) {
+				this._reset()
+				this._params = normalizeParams(args)
+			}
+			if (this._done) return
+			if (!this._stmt.reader) {
+				this._prepareRun([])
+				runStmt(this, this._params)
+				this._done = true
+				return
+			}
+			if (!this._rows && !this._iter) {
+				this._iter = callWithParams(this, 'iterate', this._params)
+				this._conn._iterating.add(this)
+			}
+			let row
+			if (this._rows) {
+				row = this._rows.shift()
+			} else {
+				const next = this._iter.next()
+				row = next.done ? undefined : next.value
+			}
+			if (row === undefined) {
+				this._reset()
+				this._done = true
+			}
+			return row
+		})
+	}
+
+	all(...args) {
+		const cb = popFn(args)
+		this._do(cb, () => {
+			this._prepareRun(args)
+			if (!this._stmt.reader) {
+				runStmt(this, this._params)
+				return []
+			}
+			return callWithParams(this, 'all', this._params)
+		})
+	}
+
+	run(...args) {
+		const cb = popFn(args)
+		this._conn._doRun(cb, () => {
+			if (this._error) throw this._error
+			this._prepareRun(args)
+			return runStmt(this, this._params)
+		})
+	}
+
+	// Steps through the rows, so they don't all have to be in memory
+	each(...args) {
+		const done = popFn(args)
+		const onRow = popFn(args)
+		this._do(done, () => {
+			this._prepareRun(args)
+			if (!this._stmt.reader) {
+				runStmt(this, this._params)
+				return 0
+			}
+			let count = 0
+			for (const row of callWithParams(this, 'iterate', this._params)) {
+				onRow(null, row)
+				count++
+			}
+			return count
+		})
+	}
+
+	finalize(cb) {
+		this._conn._do(cb, () => {
+			this._reset()
+			this._stmt = null
+			this._error = new Error('Statement is already finalized')
+		})
+	}
+}
+
+class BetterConnection {
+	/**
+	 * @param {object} options
+	 * @param {string} options.file - the path to the database file
+	 * @param {boolean} [options.readOnly] - open read-only
+	 * @param {boolean} [options.verbose] - log all queries
+	 * @param {number} [options.busyTimeout] - ms to wait for locks
+	 */
+	constructor({file, readOnly, verbose, busyTimeout}) {
+		// better-sqlite3 refuses read-only in-memory databases
+		const isMemory = file === ':memory:'
+		try {
+			this._db = new Database(file, {
+				readonly: !!readOnly && !isMemory,
+				fileMustExist: !!readOnly && !isMemory,
+				timeout: busyTimeout,
+				// eslint-disable-next-line no-console
+				verbose: verbose ? console.log : undefined,
+			})
+		} catch (error) {
+			throw toError(error)
+		}
+		if (readOnly && isMemory) this._db.pragma('query_only = ON')
+		this._iterating = new Set()
+	}
+
+	_do(cb, fn) {
+		let result
+		try {
+			result = fn()
+		} catch (error) {
+			if (cb) defer(() => cb(toError(error)))
+			return
+		}
+		if (cb) defer(() => cb(null, result))
+	}
+
+	// node-sqlite3 passes the run metadata as `this`
+	_doRun(cb, fn) {
+		this._do(
+			cb &&
+				((err, meta) => {
+					if (err) cb(err)
+					else cb.call(meta, null)
+				}),
+			fn
+		)
+	}
+
+	_releaseIterators() {
+		for (const stmt of this._iterating) stmt._release()
+	}
+
+	configure(option, value) {
+		if (option === 'busyTimeout')
+			this._db.pragma(`busy_timeout = ${Number(value)}`)
+	}
+
+	exec(sql, cb) {
+		this._do(cb, () => {
+			this._releaseIterators()
+			this._db.exec(sql)
+		})
+	}
+
+	all(...args) {
+		const cb = popFn(args)
+		const sql = args.shift()
+		new BetterStatement(this, sql).all(...args, cb)
+	}
+
+	// A one-shot get, not stepping
+	get(...args) {
+		const cb = popFn(args)
+		const sql = args.shift()
+		const stmt = new BetterStatement(this, sql)
+		stmt._do(cb, () => {
+			stmt._prepareRun(args)
+			if (!stmt._stmt.reader) {
+				runStmt(stmt, stmt._params)
+				return
+			}
+			return callWithParams(stmt, 'get', stmt._params)
+		})
+	}
+
+	run(...args) {
+		const cb = popFn(args)
+		const sql = args.shift()
+		new BetterStatement(this, sql).run(...args, cb)
+	}
+
+	each(...args) {
+		const done = popFn(args)
+		const onRow = popFn(args)
+		const sql = args.shift()
+		new BetterStatement(this, sql).each(...args, onRow, done)
+	}
+
+	prepare(sql, cb) {
+		const stmt = new BetterStatement(this, sql)
+		this._do(cb, () => {
+			if (stmt._error) throw stmt._error
+			return stmt
+		})
+		return stmt
+	}
+
+	close(cb) {
+		this._do(cb, () => {
+			this._iterating.clear()
+			this._db.close()
+		})
+	}
+}
+
+module.exports = {BetterConnection}
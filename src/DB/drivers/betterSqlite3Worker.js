@@ -0,0 +1,68 @@
+// The worker thread for the better-sqlite3 driver. CommonJS, it is not transpiled.
+// It runs the requested methods on a BetterConnection and posts back the results.
+'use strict'
+const {parentPort} = require('worker_threads')
+const {BetterConnection} = require('./betterSqlite3Connection')
+
+// The amount of rows per message during `each`
+const EACH_CHUNK = 100
+
+let conn
+const statements = new Map()
+
+const reply = (id, err, result, meta) =>
+	parentPort.postMessage({
+		id,
+		err: err && {message: err.message, code: err.code},
+		result,
+		meta,
+	})
+
+parentPort.on('message', ({id, op, stmtId, args}) => {
+	try {
+		if (op === 'open') {
+			conn = new BetterConnection(args[0])
+			return reply(id)
+		}
+		if (op === 'prepare') {
+			statements.set(
+				stmtId,
+				conn.prepare(args[0], err => reply(id, err))
+			)
+			return
+		}
+		const obj = stmtId == null ? conn : statements.get(stmtId)
+		if (op === 'finalize') statements.delete(stmtId)
+		if (op === 'each') {
+			// Send the rows while stepping, the reply has the last ones
+			let rows = []
+			obj.each(
+				...args,
+				(_, row) => {
+					rows.push(row)
+					if (rows.length < EACH_CHUNK) return
+					parentPort.postMessage({id, rows})
+					rows = []
+				},
+				err => reply(id, err, rows)
+			)
+			return
+		}
+		if (op === 'configure') {
+			obj.configure(...args)
+			return reply(id)
+		}
+		obj[op](...args, function (err, result) {
+			reply(
+				id,
+				err,
+				result,
+				op === 'run' && !err
+					? {lastID: this.lastID, changes: this.changes}
+					: undefined
+			)
+		})
+	} catch (error) {
+		reply(id, error)
+	}
+})
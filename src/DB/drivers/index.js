@@ -0,0 +1,40 @@
+import sqlite3Driver from './sqlite3'
+import {betterSqlite3Driver, betterSqlite3SyncDriver} from './betterSqlite3'
+
+/**
+ * A driver opens connections to SQLite databases. The connections must
+ * implement the callback API of node-sqlite3 `Database` objects, and their
+ * prepared statements that of node-sqlite3 `Statement` objects.
+ * @typedef Driver
+ * @type {object}
+ * @property {string} name - the name of the driver
+ * @property {function(DriverOpenOptions): Promise<object>} open - open a connection
+ */
+/**
+ * @typedef DriverOpenOptions
+ * @type {object}
+ * @property {string} file - the path to the database file or `:memory:`
+ * @property {boolean} [readOnly] - open read-only
+ * @property {boolean} [verbose] - verbose errors
+ * @property {number} busyTimeout - ms to wait for locks
+ */
+
+export const drivers = {
+	sqlite3: sqlite3Driver,
+	'better-sqlite3': betterSqlite3Driver,
+	'better-sqlite3-sync': betterSqlite3SyncDriver,
+}
+
+/**
+ * Get a driver by name
+ * @param {string|Driver} [driver='sqlite3'] - the name of the driver, or a driver
+ * @returns {Driver} - the driver
+ */
+export const getDriver = (driver = 'sqlite3') => {
+	if (typeof driver !== 'string') return driver
+	if (!drivers[driver])
+		throw new Error(
+			`Unknown driver ${driver}, use one of ${Object.keys(drivers).join(', ')}`
+		)
+	return drivers[driver]
+}
@@ -0,0 +1,24 @@
+import sqlite3 from 'sqlite3'
+
+/**
+ * The default driver, using node-sqlite3. The other drivers mimic its API.
+ * @type {Driver}
+ */
+const sqlite3Driver = {
+	name: 'sqlite3',
+	open: ({file, readOnly, verbose, busyTimeout}) =>
+		new Promise((resolve, reject) => {
+			if (verbose) sqlite3.verbose()
+			const mode = readOnly
+				? sqlite3.OPEN_READONLY
+				: sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE
+			const db = new sqlite3.Database(file, mode, err => {
+				if (err) return reject(err)
+				// Wait for locks
+				db.configure('busyTimeout', busyTimeout)
+				resolve(db)
+			})
+		}),
+}
+
+export default sqlite3Driver
@@ -2,6 +2,7 @@
 // Pass `forever: true` to keep Node running while waiting for events
 import debug from 'debug'
 import JsonModel from './JsonModel'
+import {valToSql} from './DB'
 
 const dbg = debug('strato-db/queue')
 
@@ -65,7 +66,7 @@ class EventQueue extends JsonModel {
 					),
 				'20190521_addViews': withViews
 					? async ({db}) => {
-							const historySchema = await db.all('PRAGMA table_info("history")')
+							const historySchema = await db.all('PRAGMA table_info(history)')
 							// This adds a field with data size, kept up-to-date with triggers
 							if (!historySchema.some(f => f.name === 'size'))
 								await db.exec(
@@ -89,7 +90,7 @@ class EventQueue extends JsonModel {
 								DROP VIEW IF EXISTS _recentHistory;
 								DROP VIEW IF EXISTS _historyTypes;
 								CREATE VIEW _recentHistory AS
-									SELECT datetime(ts/1000, "unixepoch", "localtime") AS t, *
+									SELECT datetime(ts/1000, 'unixepoch', 'localtime') AS t, *
 									FROM history ORDER BY v DESC LIMIT 1000;
 								CREATE VIEW _historyTypes AS
 									SELECT
@@ -274,11 +275,12 @@ class EventQueue extends JsonModel {
 		// Try changing current value, and insert if there was no change
 		// This doesn't need a transaction, either one or the other runs
 		// TODO alsoLower flag and only update where seq < v
+		const name = valToSql(this.name)
 		await this.db.exec(
 			`
-				UPDATE sqlite_sequence SET seq = ${v} WHERE name = ${this.quoted};
+				UPDATE sqlite_sequence SET seq = ${v} WHERE name = ${name};
 				INSERT INTO sqlite_sequence (name, seq)
-					SELECT ${this.quoted}, ${v} WHERE NOT EXISTS
+					SELECT ${name}, ${v} WHERE NOT EXISTS
 						(SELECT changes() AS change FROM sqlite_sequence WHERE change <> 0);
 			`
 		)
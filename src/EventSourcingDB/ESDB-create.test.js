@@ -206,7 +206,7 @@ test('metadata migration', async () => {
 	)
 	// metadata table should be gone
 	expect(
-		await eSDB.db.get('SELECT * FROM sqlite_master WHERE name="metadata"')
+		await eSDB.db.get(`SELECT * FROM sqlite_master WHERE name='metadata'`)
 	).toBeFalsy()
 })
 
@@ -238,10 +238,10 @@ test('metadata migration with existing data', async () => {
 	)
 	// metadata table should still be there
 	expect(
-		await eSDB.db.get('SELECT * FROM sqlite_master WHERE name="metadata"')
+		await eSDB.db.get(`SELECT * FROM sqlite_master WHERE name='metadata'`)
 	).toBeTruthy()
 	// but version should be gone
 	expect(
-		await eSDB.db.get('SELECT * FROM metadata WHERE id="version"')
+		await eSDB.db.get(`SELECT * FROM metadata WHERE id='version'`)
 	).toBeFalsy()
 })
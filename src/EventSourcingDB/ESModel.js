@@ -9,6 +9,7 @@ import JsonModel from '../JsonModel'
 import {DEV} from '../lib/warning'
 import {isEqual} from 'lodash'
 import applyResult from './applyResult'
+import {applyPatch} from '../lib/jsonPatch'
 
 export const undefToNull = data => {
 	if (data == null) return null
@@ -61,15 +62,36 @@ const calcUpd = (idCol, prev, obj, complete) => {
 	return undefined
 }
 
+// Calculate the update for a PATCH event
+const reducePatch = (idCol, prev, patch) => {
+	if (!prev) return {esFail: 'ENOENT'}
+	let patched
+	try {
+		patched = applyPatch(prev, patch)
+	} catch {
+		return {esFail: 'EPATCH'}
+	}
+	if (
+		!patched ||
+		typeof patched !== 'object' ||
+		!isEqual(patched[idCol], prev[idCol])
+	)
+		return {esFail: 'EPATCH'}
+	const update = calcUpd(idCol, prev, patched, true)
+	return update ? {upd: [update]} : false
+}
+
 /**
  * ESModel is a drop-in wrapper around JsonModel to turn changes into events.
  *
  * Use it to convert your database to be event sourcing
  *
- * Event data is encoded as an array: `[subtype, id, data, meta]`
- * Subtype is one of `ESModel.(REMOVE|SET|INSERT|UPDATE|SAVE)`.
- * `id` is filled in by the preprocessor at the time of the event.
+ * Event data is encoded as an array: `[subtype, id, data, meta, expectedVersion]`
+ * Subtype is one of `ESModel.(REMOVE|SET|INSERT|UPDATE|SAVE|PATCH)`.
+ * `id` is filled in by the preprocessor at the time of the event, except for REMOVE and PATCH.
+ * For PATCH, `data` is the JSON Patch or merge patch.
  * `meta` is free-form data about the event. It is just stored in the history table.
+ * `expectedVersion` is only present for models with `versionCol`, the reducer fails with `ECONFLICT` if the stored version differs.
  *
  * For example: `model.set({foo: true})` would result in the event
  * `[1, 1, {foo: true}]`
@@ -81,6 +103,7 @@ class ESModel extends JsonModel {
 	static INSERT = 2
 	static UPDATE = 3
 	static SAVE = 4
+	static PATCH = 5
 
 	/**
 	 * Creates a new ESModel model, called by DB
@@ -90,6 +113,13 @@ class ESModel extends JsonModel {
 	 * @param  {Object} [...options] - other params are passed to JsonModel
 	 */
 	constructor({dispatch, init, emitter, ...options}) {
+		// The sweeper would remove objects without events
+		if (options.expiresAt || options.ttl)
+			throw new TypeError(`ESModel doesn't support expiring objects yet`)
+		// The hooks would run while applying the event results
+		const {beforeSet, afterSet, beforeRemove, afterRemove} = options
+		if (beforeSet || afterSet || beforeRemove || afterRemove)
+			throw new TypeError(`ESModel doesn't support hooks yet`)
 		super({
 			...options,
 			migrations: {
@@ -130,22 +160,26 @@ class ESModel extends JsonModel {
 	 * Insert or replace the given object into the database
 	 *
 	 * @param  {object} obj - the object to store. If there is no `id` value (or whatever the `id` column is named), one is assigned automatically.
-	 * @param  {boolean} [insertOnly] - don't allow replacing existing objects
+	 * @param  {boolean|object} [insertOnly] - don't allow replacing existing objects, or an object with `insertOnly`, `noReturn`, `meta` and `expectedVersion`
 	 * @param  {boolean} [noReturn] - do not return the stored object; an optimization
 	 * @param  {*} [meta] - extra metadata to store in the event but not in the object
 	 * @returns {Promise<Object>} - if `noReturn` is false, the stored object is fetched from the DB
 	 */
 	async set(obj, insertOnly, noReturn, meta) {
+		let expectedVersion
+		if (insertOnly && typeof insertOnly === 'object')
+			({insertOnly, noReturn, meta, expectedVersion} = insertOnly)
 		if (DEV && noReturn != null && typeof noReturn !== 'boolean')
 			throw new Error(`${this.name}: meta argument is now in fourth position`)
 		if (this.writable) {
 			const id = obj[this.idCol]
 			if (this._maxId && id > this._maxId) this._maxId = id
-			return super.set(obj, insertOnly, noReturn)
+			return super.set(obj, {insertOnly, noReturn, expectedVersion})
 		}
 
 		const d = [insertOnly ? ESModel.INSERT : ESModel.SET, null, obj]
 		if (meta) d[3] = meta
+		if (expectedVersion != null) d[4] = this._checkVersion(expectedVersion)
 
 		const {data, result} = await this.dispatch(this.TYPE, d)
 		const id = data[1]
@@ -161,16 +195,20 @@ class ESModel extends JsonModel {
 	/**
 	 * update an existing object
 	 * @param  {Object} o - the data to store
-	 * @param  {boolean} [upsert] - if `true`, allow inserting if the object doesn't exist
+	 * @param  {boolean|object} [upsert] - if `true`, allow inserting if the object doesn't exist, or an object with `upsert`, `noReturn`, `meta` and `expectedVersion`
 	 * @param  {boolean} [noReturn] - do not return the stored object; an optimization
 	 * @param  {*} [meta] - extra metadata to store in the event at `data[3]` but not in the object
 	 * @returns {Promise<Object>} - if `noReturn` is false, the stored object is fetched from the DB
 	 */
 	async update(o, upsert, noReturn, meta) {
+		let expectedVersion
+		if (upsert && typeof upsert === 'object')
+			({upsert, noReturn, meta, expectedVersion} = upsert)
 		if (DEV && noReturn != null && typeof noReturn !== 'boolean')
 			throw new Error(`${this.name}: meta argument is now in fourth position`)
 
-		if (this.writable) return super.update(o, upsert, noReturn)
+		if (this.writable)
+			return super.update(o, {upsert, noReturn, expectedVersion})
 
 		if (DEV && noReturn != null && typeof noReturn !== 'boolean')
 			throw new Error(`${this.name}: meta argument is now in fourth position`)
@@ -178,7 +216,8 @@ class ESModel extends JsonModel {
 		if (id == null && !upsert) throw new TypeError('No ID specified')
 
 		const d = [upsert ? ESModel.SAVE : ESModel.UPDATE, null, undefToNull(o)]
-		if (meta) d.push(meta)
+		if (meta) d[3] = meta
+		if (expectedVersion != null) d[4] = this._checkVersion(expectedVersion)
 
 		const {data, result} = await this.dispatch(this.TYPE, d)
 		id = data[1]
@@ -196,6 +235,48 @@ class ESModel extends JsonModel {
 		throw new Error('Non-transactional changes are not possible with ESModel')
 	}
 
+	// The reducer checks the version, so fail early when it can't
+	_checkVersion(expectedVersion) {
+		if (!this.versionCol)
+			throw new TypeError(
+				`${this.name}: expectedVersion requires the versionCol option`
+			)
+		return expectedVersion
+	}
+
+	/**
+	 * Change an existing object with a JSON Patch or merge patch. The patch is
+	 * stored in the event and applied by the reducer.
+	 * @param  {ID} id - the id of the object
+	 * @param  {Array<object>|object} patch - the JSON Patch (RFC 6902) or merge patch (RFC 7396)
+	 * @param  {boolean} [noReturn] - do not return the stored object; an optimization
+	 * @param  {*} [meta] - extra metadata to store in the event at `data[3]` but not in the object
+	 * @returns {Promise<Object>} - if `noReturn` is false, the stored object is fetched from the DB
+	 */
+	async patch(id, patch, noReturn, meta) {
+		if (this.writable) return super.patch(id, patch, noReturn)
+		if (id == null) throw new TypeError('No ID specified')
+		if (!patch || typeof patch !== 'object')
+			throw new TypeError(
+				'patch() needs a JSON Patch array or merge patch object'
+			)
+
+		const d = [ESModel.PATCH, id, patch]
+		if (meta) d[3] = meta
+
+		const {result} = await this.dispatch(this.TYPE, d)
+
+		const r = result[this.name]
+		if (r && r.esFail) throw new Error(`${this.name}.patch ${id}: ${r.esFail}`)
+
+		return noReturn ? undefined : this.get(id)
+	}
+
+	patchNoTrans(id, patch, noReturn) {
+		if (this.writable) return super.patchNoTrans(id, patch, noReturn)
+		throw new Error('Non-transactional changes are not possible with ESModel')
+	}
+
 	/**
 	 * Remove an object
 	 * @param  {(Object|string|integer)} idOrObj - the id or the object itself
@@ -219,6 +300,36 @@ class ESModel extends JsonModel {
 		throw new Error(`ESModel doesn't support changeId yet`)
 	}
 
+	/** setMany: only while writable, the changes would not be events */
+	setMany(objs, options) {
+		if (this.writable) return super.setMany(objs, options)
+		throw new Error(`ESModel doesn't support setMany yet`)
+	}
+
+	/** removeMany: only while writable, the changes would not be events */
+	removeMany(idsOrAttrs) {
+		if (this.writable) return super.removeMany(idsOrAttrs)
+		throw new Error(`ESModel doesn't support removeMany yet`)
+	}
+
+	/** restore: only while writable, the changes would not be events */
+	restore(idOrObj) {
+		if (this.writable) return super.restore(idOrObj)
+		throw new Error(`ESModel doesn't support restore yet`)
+	}
+
+	/** purge: only while writable, the changes would not be events */
+	purge(olderThan) {
+		if (this.writable) return super.purge(olderThan)
+		throw new Error(`ESModel doesn't support purge yet`)
+	}
+
+	/** updateMany: only while writable, the changes would not be events */
+	updateMany(attrs, patch, options) {
+		if (this.writable) return super.updateMany(attrs, patch, options)
+		throw new Error(`ESModel doesn't support updateMany yet`)
+	}
+
 	_maxId = 0
 	_maxIdP = null
 	_lastUV = 0
@@ -260,7 +371,8 @@ class ESModel extends JsonModel {
 	static async preprocessor({model, event, isMainEvent}) {
 		if (isMainEvent) this._maxId = 0
 		if (event.type !== model.TYPE) return
-		if (event.data[0] > ESModel.REMOVE) {
+		const action = event.data[0]
+		if (action > ESModel.REMOVE && action !== ESModel.PATCH) {
 			// Always overwrite, so repeat events get correct ids
 			// eslint-disable-next-line require-atomic-updates
 			event.data[1] = await getId(model, event.data[2])
@@ -278,18 +390,29 @@ class ESModel extends JsonModel {
 	static async reducer({model, event: {type, data}}) {
 		if (!model || type !== model.TYPE) return false
 
-		let [action, id, obj] = data
+		let [action, id, obj, , expectedVersion] = data
 		if (action === ESModel.REMOVE) {
 			if (await model.exists({[model.idCol]: id})) return {rm: [id]}
 			return false
 		}
 
+		const prev = await model.get(id)
+		if (
+			expectedVersion != null &&
+			((prev && prev[model.versionCol]) || 0) !== expectedVersion
+		)
+			return {esFail: 'ECONFLICT'}
+
+		if (action === ESModel.PATCH) return reducePatch(model.idCol, prev, obj)
+
 		if (obj[model.idCol] == null) obj = {...obj, [model.idCol]: id}
 
-		const prev = await model.get(id)
 		let update
 		if (prev) {
 			if (action === ESModel.INSERT) return {esFail: 'EEXIST'}
+			// The version is assigned when writing
+			if (model.versionCol)
+				obj = {...obj, [model.versionCol]: prev[model.versionCol]}
 			update = calcUpd(model.idCol, prev, obj, action === ESModel.SET)
 			return update ? {upd: [update]} : false
 		}
@@ -173,6 +173,98 @@ test('set insertOnly', () =>
 		{test: {Model: ESModel}}
 	))
 
+test('bulk methods, restore and purge need writable', () =>
+	withESDB(
+		async eSDB => {
+			const m = eSDB.store.test
+			expect(() => m.setMany([sampleObject])).toThrow('setMany')
+			expect(() => m.removeMany([sampleObject.id])).toThrow('removeMany')
+			expect(() => m.updateMany({}, {top: 'x'})).toThrow('updateMany')
+			expect(() => m.restore(sampleObject.id)).toThrow('restore')
+			expect(() => m.purge()).toThrow('purge')
+			m.setWritable(true)
+			await m.setMany([sampleObject])
+			m.setWritable(false)
+			expect(await m.get(sampleObject.id)).toEqual(sampleObject)
+		},
+		{test: {Model: ESModel}}
+	))
+
+test('expiring objects are not supported', () =>
+	expect(
+		withESDB(() => {}, {test: {Model: ESModel, ttl: 1000}})
+	).rejects.toThrow('expiring'))
+
+test('hooks are not supported', () =>
+	expect(
+		withESDB(() => {}, {test: {Model: ESModel, afterSet: () => {}}})
+	).rejects.toThrow('hooks'))
+
+test('patch', () =>
+	withESDB(
+		async (eSDB, queue) => {
+			const m = eSDB.store.test
+			await m.set({id: 'x', a: {b: 1, c: 2}, d: [1]})
+			await expect(
+				m.patch('x', {a: {c: null}}, false, {who: 'me'})
+			).resolves.toEqual({id: 'x', a: {b: 1}, d: [1]})
+			const event = await queue.get(await queue.getMaxV())
+			expect(event.data).toEqual([
+				ESModel.PATCH,
+				'x',
+				{a: {c: null}},
+				{who: 'me'},
+			])
+			await m.patch('x', [{op: 'add', path: '/d/0', value: 0}], true)
+			expect(await m.get('x')).toEqual({id: 'x', a: {b: 1}, d: [0, 1]})
+			await expect(
+				m.patch('x', [{op: 'test', path: '/d/0', value: 5}])
+			).rejects.toThrow('test.patch x: EPATCH')
+			await expect(m.patch('x', {id: 'y'})).rejects.toThrow('EPATCH')
+			await expect(m.patch('y', {a: 1})).rejects.toThrow('ENOENT')
+			expect(() => m.patchNoTrans('x', {})).toThrow('Non-transactional')
+		},
+		{test: {Model: ESModel}}
+	))
+
+test('versionCol expectedVersion', () =>
+	withESDB(
+		async (eSDB, queue) => {
+			const m = eSDB.store.test
+			await m.set({id: 'x', a: 1})
+			expect(await m.get('x')).toEqual({id: 'x', a: 1, v: 1})
+			await m.set({id: 'x', a: 2}, {expectedVersion: 1, meta: 'hi'})
+			const event = await queue.get(await queue.getMaxV())
+			expect(event.data).toEqual([ESModel.SET, 'x', {id: 'x', a: 2}, 'hi', 1])
+			await expect(
+				m.set({id: 'x', a: 3}, {expectedVersion: 1})
+			).rejects.toThrow('test.set x: ECONFLICT')
+			await expect(
+				m.update({id: 'x', b: 1}, {expectedVersion: 1})
+			).rejects.toThrow('test.update x: ECONFLICT')
+			await expect(
+				m.update({id: 'x', b: 1}, {expectedVersion: 2})
+			).resolves.toEqual({id: 'x', a: 2, b: 1, v: 3})
+			// without changes there is no write
+			await m.set({id: 'x', a: 2, b: 1, v: 9})
+			expect(await m.get('x')).toHaveProperty('v', 3)
+			await expect(
+				m.set({id: 'y'}, {insertOnly: true, expectedVersion: 0})
+			).resolves.toEqual({id: 'y', v: 1})
+		},
+		{test: {Model: ESModel, versionCol: 'v'}}
+	))
+
+test('expectedVersion requires versionCol', () =>
+	withESDB(
+		async eSDB => {
+			await expect(
+				eSDB.store.test.set({id: 'x'}, {expectedVersion: 0})
+			).rejects.toThrow('versionCol')
+		},
+		{test: {Model: ESModel}}
+	))
+
 test('update', () =>
 	withESDB(
 		async eSDB => {
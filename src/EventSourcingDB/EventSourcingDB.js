@@ -213,11 +213,11 @@ class EventSourcingDB extends EventEmitter {
 				const uv = await db.userVersion()
 				if (uv) return // Somehow we already have a version
 				const hasMetadata = await db.get(
-					'SELECT 1 FROM sqlite_master WHERE name="metadata"'
+					`SELECT 1 FROM sqlite_master WHERE name='metadata'`
 				)
 				if (!hasMetadata) return
 				const vObj = await db.get(
-					'SELECT json_extract(json, "$.v") AS v FROM metadata WHERE id="version"'
+					`SELECT json_extract(json, '$.v') AS v FROM metadata WHERE id='version'`
 				)
 				const v = vObj && Number(vObj.v)
 				if (!v) return
@@ -232,7 +232,7 @@ class EventSourcingDB extends EventEmitter {
 							/* shrug */
 						})
 				} else {
-					await db.run(`DELETE FROM metadata WHERE id="version"`)
+					await db.run(`DELETE FROM metadata WHERE id='version'`)
 				}
 			},
 		})
@@ -0,0 +1,26 @@
+/**
+ * Thrown when storing an object with an `expectedVersion` that differs from the
+ * stored version in the `versionCol` column.
+ * @extends Error
+ */
+class ConflictError extends Error {
+	/**
+	 * @param {string} modelName - the model that refused the change
+	 * @param {*} id - the id of the object
+	 * @param {number} expectedVersion - the version the change was based on
+	 * @param {number} version - the stored version, 0 if the object doesn't exist
+	 */
+	constructor(modelName, id, expectedVersion, version) {
+		super(
+			`${modelName}: cannot set ${id}: expected version ${expectedVersion} but it is ${version}`
+		)
+		this.name = 'ConflictError'
+		this.code = 'ECONFLICT'
+		this.model = modelName
+		this.id = id
+		this.expectedVersion = expectedVersion
+		this.version = version
+	}
+}
+
+export default ConflictError
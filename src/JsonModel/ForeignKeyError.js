@@ -0,0 +1,30 @@
+/**
+ * Thrown when storing, removing or renaming an object violates a foreign key
+ * created by a `references` column.
+ * @extends Error
+ */
+class ForeignKeyError extends Error {
+	/**
+	 * @param {string} modelName - the model that refused the change
+	 * @param {string} operation - `set`, `remove` or `changeId`
+	 * @param {*} id - the id of the object
+	 * @param {Error} cause - the SQLite error
+	 */
+	constructor(modelName, operation, id, cause) {
+		super(
+			`${modelName}: cannot ${operation} ${id}: ${
+				operation === 'set'
+					? 'a referenced object does not exist'
+					: 'the object is still referenced'
+			}`
+		)
+		this.name = 'ForeignKeyError'
+		this.code = 'EFOREIGNKEY'
+		this.model = modelName
+		this.operation = operation
+		this.id = id
+		this.cause = cause
+	}
+}
+
+export default ForeignKeyError
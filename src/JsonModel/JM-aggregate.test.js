@@ -0,0 +1,101 @@
+import {getModel} from '../lib/_test-helpers'
+import {boolColumn} from './columnHelpers'
+
+const getFilled = async () => {
+	const m = getModel({
+		columns: {
+			status: {type: 'TEXT'},
+			owner: {},
+			amount: {},
+			urgent: boolColumn(),
+			tags: {isArray: true},
+		},
+	})
+	await m.set({id: 'a', status: 'open', owner: 'x', amount: 5, tags: ['t1']})
+	await m.set({
+		id: 'b',
+		status: 'open',
+		owner: 'x',
+		amount: 10,
+		urgent: true,
+		tags: ['t1', 't2'],
+	})
+	await m.set({id: 'c', status: 'open', owner: 'y', amount: 1})
+	await m.set({id: 'd', status: 'done', owner: 'y', amount: 100, tags: ['t2']})
+	await m.set({id: 'e', status: 'done', amount: 7, tags: ['t2', 't3']})
+	return m
+}
+
+test('aggregate groupBy', async () => {
+	const m = await getFilled()
+	expect(
+		await m.aggregate({
+			groupBy: ['status', 'owner'],
+			aggregates: {n: 'count', total: ['sum', 'amount']},
+			sort: {status: -1, owner: 1},
+		})
+	).toEqual([
+		{status: 'open', owner: 'x', n: 2, total: 15},
+		{status: 'open', owner: 'y', n: 1, total: 1},
+		{status: 'done', owner: null, n: 1, total: 7},
+		{status: 'done', owner: 'y', n: 1, total: 100},
+	])
+})
+
+test('aggregate options', async () => {
+	const m = await getFilled()
+	expect(
+		await m.aggregate({aggregates: {n: 'count', max: ['max', 'amount']}})
+	).toEqual([{n: 5, max: 100}])
+	expect(
+		await m.aggregate({
+			groupBy: ['owner'],
+			aggregates: {n: 'count', avg: ['avg', 'amount']},
+			attrs: {status: 'open'},
+			where: {"json_extract(json, '$.amount') > ?": [1]},
+			having: {'n > ?': [0]},
+			sort: {avg: -1},
+			limit: 1,
+		})
+	).toEqual([{owner: 'x', n: 2, avg: 7.5}])
+	expect(
+		await m.aggregate({
+			groupBy: ['urgent'],
+			aggregates: {n: 'count'},
+			sort: {urgent: 1},
+		})
+	).toEqual([
+		{urgent: false, n: 4},
+		{urgent: true, n: 1},
+	])
+	await expect(m.aggregate({aggregates: {n: 'median'}})).rejects.toThrow(
+		'unknown aggregate median'
+	)
+})
+
+test('facets', async () => {
+	const m = await getFilled()
+	expect(await m.facets(null, ['status', 'owner', 'tags'])).toEqual({
+		status: [
+			{value: 'open', count: 3},
+			{value: 'done', count: 2},
+		],
+		owner: [
+			{value: 'x', count: 2},
+			{value: 'y', count: 2},
+		],
+		tags: [
+			{value: 't2', count: 3},
+			{value: 't1', count: 2},
+			{value: 't3', count: 1},
+		],
+	})
+	expect(await m.facets({status: 'done'}, ['tags', 'urgent'])).toEqual({
+		tags: [
+			{value: 't2', count: 2},
+			{value: 't3', count: 1},
+		],
+		urgent: [{value: false, count: 2}],
+	})
+	await expect(m.facets(null, ['nope'])).rejects.toThrow('unknown column')
+})
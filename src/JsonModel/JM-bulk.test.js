@@ -0,0 +1,134 @@
+import {DB, JsonModel, getModel} from '../lib/_test-helpers'
+import ForeignKeyError from './ForeignKeyError'
+import ValidationError from './ValidationError'
+
+test('setMany', async () => {
+	const m = getModel({
+		columns: {
+			id: {type: 'INTEGER'},
+			name: {type: 'TEXT', index: true, unique: true},
+			upper: {value: o => o.name?.toUpperCase()},
+			n: {validate: v => v == null || v > 0},
+		},
+	})
+	let begins = 0
+	m.db.on('begin', () => begins++)
+	await m.set({id: 1, name: 'a'})
+	begins = 0
+	const out = await m.setMany(
+		[{name: 'b'}, {name: 'c', n: -1}, {name: 'a'}, {id: 1, name: 'd'}],
+		{batchSize: 2}
+	)
+	expect(begins).toBe(1)
+	expect(out).toHaveLength(4)
+	expect(out[0]).toEqual({
+		ok: true,
+		id: 2,
+		value: {id: 2, name: 'b', upper: 'B'},
+	})
+	expect(out[1]).toMatchObject({ok: false})
+	expect(out[1].error).toBeInstanceOf(ValidationError)
+	expect(out[2]).toMatchObject({ok: false})
+	expect(out[2].error.message).toMatch('UNIQUE')
+	expect(out[3]).toMatchObject({ok: true, id: 1, value: {name: 'd'}})
+	expect(await m.all()).toEqual([
+		{id: 1, name: 'd', upper: 'D'},
+		{id: 2, name: 'b', upper: 'B'},
+	])
+	expect(
+		await m.setMany([{id: 1, name: 'e'}, {name: 'f'}], {
+			insertOnly: true,
+			noReturn: true,
+		})
+	).toEqual([
+		{ok: false, id: 1, error: expect.any(Error)},
+		{ok: true, id: 3},
+	])
+	expect(await m.get(1)).toHaveProperty('name', 'd')
+	expect(await m.setMany([])).toEqual([])
+	expect(() => m.setMany({id: 1})).toThrow('array')
+})
+
+test('setMany in order', async () => {
+	const m = getModel({
+		columns: {
+			id: {slugValue: o => o.name},
+			slug: {slugValue: o => o.title, index: true},
+		},
+	})
+	const out = await m.setMany([
+		{name: 'a', title: 'x'},
+		{name: 'a', title: 'x'},
+	])
+	expect(out.map(r => r.id)).toEqual(['a', 'a-2'])
+	expect(out.map(r => r.value.slug)).toEqual(['x', 'x-2'])
+	expect(await m.all()).toHaveLength(2)
+})
+
+test('setMany keeps textSearch consistent', async () => {
+	const m = getModel({
+		keepRowId: true,
+		columns: {
+			t: {textSearch: true},
+			code: {type: 'TEXT', index: true, unique: true},
+		},
+	})
+	await m.set({id: 'a', t: 'hello', code: 'x'})
+	await m.set({id: 'b', t: 'world', code: 'y'})
+	const out = await m.setMany([
+		{id: 'a', t: 'there', code: 'y'},
+		{id: 'b', t: 'everyone', code: 'z'},
+	])
+	expect(out.map(o => o.ok)).toEqual([false, true])
+	expect(await m.searchAll({t: 'hello'})).toHaveLength(1)
+	expect(await m.searchAll({t: 'there'})).toEqual([])
+	expect(await m.searchAll({t: 'world'})).toEqual([])
+	expect(await m.searchAll({t: 'everyone'})).toHaveLength(1)
+})
+
+test('removeMany', async () => {
+	const db = new DB()
+	const users = db.addModel(JsonModel, {
+		name: 'users',
+		columns: {group: {type: 'TEXT'}},
+	})
+	const posts = db.addModel(JsonModel, {
+		name: 'posts',
+		columns: {userId: {references: {model: 'users'}}},
+	})
+	await users.setMany([
+		{id: 'a', group: 'x'},
+		{id: 'b', group: 'x'},
+		{id: 'c', group: 'y'},
+		{id: 'd', group: 'y'},
+	])
+	await posts.set({id: 'p', userId: 'b'})
+	const out = await users.removeMany({group: 'x'})
+	expect(out).toEqual([
+		{ok: true, id: 'a'},
+		{ok: false, id: 'b', error: expect.any(ForeignKeyError)},
+	])
+	expect(await users.removeMany(['c', {id: 'd'}, 'nope'])).toEqual([
+		{ok: true, id: 'c'},
+		{ok: true, id: 'd'},
+		{ok: true, id: 'nope'},
+	])
+	expect((await users.all()).map(u => u.id)).toEqual(['b'])
+	expect(() => users.removeMany('b')).toThrow('removeMany')
+})
+
+test('updateMany', async () => {
+	const m = getModel({columns: {group: {type: 'TEXT'}}})
+	await m.setMany([
+		{id: 'a', group: 'x', v: 1, w: 1},
+		{id: 'b', group: 'x', v: 2},
+		{id: 'c', group: 'y', v: 3},
+	])
+	const out = await m.updateMany({group: 'x'}, {v: 5, w: null, z: true})
+	expect(out).toEqual([
+		{ok: true, id: 'a', value: {id: 'a', group: 'x', v: 5, z: true}},
+		{ok: true, id: 'b', value: {id: 'b', group: 'x', v: 5, z: true}},
+	])
+	expect(await m.get('c')).toEqual({id: 'c', group: 'y', v: 3})
+	expect(() => m.updateMany({}, {id: 'd'})).toThrow("can't change id")
+})
@@ -1,4 +1,10 @@
 import {getModel, sharedSetup} from '../lib/_test-helpers'
+import {
+	boolColumn,
+	falsyColumn,
+	objectColumn,
+	uuidColumn,
+} from './columnHelpers'
 
 const indexesSql = `
 	SELECT m.tbl_name || '.' || ifNull(ii.name, m.name) AS col, m.sql
@@ -377,3 +383,115 @@ test('columnName: ({columnName}) => columnDefinition', async () => {
 		})
 	}).toThrow()
 })
+
+test('boolColumn()', async () => {
+	const m = getModel({
+		columns: {
+			id: {type: 'INTEGER'},
+			b: boolColumn({index: true}),
+			s: boolColumn({index: 'SPARSE'}),
+		},
+	})
+	await m.set({b: true, s: true})
+	await m.set({b: 0, s: false})
+	await m.set({})
+	expect(await m.all()).toEqual([
+		{id: 1, b: true, s: true},
+		{id: 2, b: false, s: false},
+		{id: 3, b: false, s: false},
+	])
+	expect(await m.db.all('select b, s from testing')).toEqual([
+		{b: 1, s: 1},
+		{b: 0, s: null},
+		{b: 0, s: null},
+	])
+	expect(await m.count({b: false})).toBe(2)
+	expect(await m.count({s: true})).toBe(1)
+	expect(await m.count({s: false})).toBe(2)
+	const {items, cursor} = await m.search(null, {sort: {b: -1}, limit: 2})
+	expect(items.map(o => o.id)).toEqual([1, 2])
+	const next = await m.search(null, {sort: {b: -1}, limit: 2, cursor})
+	expect(next.items.map(o => o.id)).toEqual([3])
+})
+
+test('objectColumn()', async () => {
+	const m = getModel({columns: {o: objectColumn()}})
+	await m.set({id: 'a', o: {hi: 1}})
+	await m.set({id: 'b', o: {}})
+	await m.set({id: 'c'})
+	expect(await m.all()).toEqual([
+		{id: 'a', o: {hi: 1}},
+		{id: 'b', o: {}},
+		{id: 'c', o: {}},
+	])
+	expect(await m.db.all('select o from testing')).toEqual([
+		{o: '{"hi":1}'},
+		{o: null},
+		{o: null},
+	])
+	await expect(m.set({id: 'd', o: [1]})).rejects.toThrow(
+		'o: value must be an object'
+	)
+	await expect(m.set({id: 'd', o: 'x'})).rejects.toThrow('must be an object')
+})
+
+test('falsyColumn()', async () => {
+	const m = getModel({
+		columns: {id: {type: 'INTEGER'}, f: falsyColumn({index: true})},
+	})
+	await m.set({f: true})
+	await m.set({f: false})
+	await m.set({f: 'yes'})
+	expect(await m.all()).toEqual([{id: 1, f: true}, {id: 2}, {id: 3, f: true}])
+	expect(await m.count({f: true})).toBe(2)
+	expect(await m.count({f: false})).toBe(1)
+	await expect(m.search(null, {sort: {f: -1}, limit: 2})).rejects.toThrow(
+		'not sortable'
+	)
+	expect(
+		await m.searchAll(null, {sort: {f: -1, id: 1}, limit: 2})
+	).toHaveLength(2)
+	// Paging passes the NULL values when it is allowed
+	const s = getModel({
+		columns: {id: {type: 'INTEGER'}, f: falsyColumn({sortable: true})},
+	})
+	await s.set({f: true})
+	await s.set({f: false})
+	await s.set({f: 'yes'})
+	const page1 = await s.search(null, {sort: {f: -1}, limit: 2})
+	expect(page1.items).toEqual([
+		{id: 1, f: true},
+		{id: 3, f: true},
+	])
+	const page2 = await s.search(null, {
+		sort: {f: -1},
+		limit: 2,
+		cursor: page1.cursor,
+	})
+	expect(page2.items).toEqual([{id: 2}])
+})
+
+test('uuidColumn()', async () => {
+	const uuid = '0f8fad5b-d9cb-469f-a165-70867728950e'
+	const m = getModel({columns: {u: uuidColumn({index: true})}})
+	await m.set({id: 'a', u: uuid})
+	await m.set({id: 'b', u: uuid.replace(/-/g, '').toUpperCase()})
+	await m.set({id: 'c'})
+	expect(await m.get('a')).toEqual({id: 'a', u: uuid})
+	expect(await m.get('c')).toEqual({id: 'c'})
+	const row = await m.db.get(`select u from testing where id='a'`)
+	expect(row.u).toBeInstanceOf(Buffer)
+	expect(row.u).toHaveLength(16)
+	expect(await m.count({u: uuid})).toBe(2)
+	const other = '6ba7b810-9dad-11d1-80b4-00c04fd430c8'
+	await m.set({id: 'e', u: other})
+	const ids = async attrs => (await m.searchAll(attrs)).map(o => o.id).sort()
+	expect(await ids({u: {$ne: uuid}})).toEqual(['c', 'e'])
+	expect(await ids({u: {$in: [other]}})).toEqual(['e'])
+	expect(await ids({u: {$in: [uuid, other]}})).toEqual(['a', 'b', 'e'])
+	expect(await ids({u: {$nin: [uuid]}})).toEqual(['c', 'e'])
+	expect(await ids({u: {$gt: uuid}})).toEqual(['e'])
+	await expect(m.set({id: 'd', u: 'nope'})).rejects.toThrow(
+		'u: nope is not a UUID'
+	)
+})
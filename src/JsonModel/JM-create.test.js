@@ -238,6 +238,24 @@ test('each', async () => {
 	expect(maxI).toBe(2)
 })
 
+test('iterate', async () => {
+	const m = getModel({columns: {id: {type: 'INTEGER'}}})
+	await Promise.all([0, 1, 2, 3, 4].map(id => m.set({id, t: `t${id}`})))
+	const items = []
+	for await (const item of m.iterate()) items.push(item)
+	expect(items).toHaveLength(5)
+	expect(items[4]).toEqual({id: 4, t: 't4'})
+	const ids = []
+	for await (const {id} of m.iterate(
+		{},
+		{where: {'id>?': [0]}, sort: {id: -1}, batchSize: 2}
+	)) {
+		ids.push(id)
+		if (id === 2) break
+	}
+	expect(ids).toEqual([4, 3, 2])
+})
+
 describe('id column types', () => {
 	test('integer', async () => {
 		const m = getModel({columns: {id: {type: 'INTEGER'}}})
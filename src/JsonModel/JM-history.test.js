@@ -0,0 +1,131 @@
+import sysPath from 'path'
+import tmp from 'tmp-promise'
+import {DB, JsonModel, getModel} from '../lib/_test-helpers'
+
+let now
+beforeEach(() => {
+	now = 1000
+	jest.spyOn(Date, 'now').mockImplementation(() => now)
+})
+afterEach(() => {
+	jest.restoreAllMocks()
+})
+
+test('keepHistory records versions', async () => {
+	let actor = 'ann'
+	const m = getModel({
+		columns: {v: {type: 'INTEGER'}},
+		keepHistory: {actor: () => actor},
+	})
+	await m.set({id: 'a', v: 1})
+	now = 2000
+	actor = 'bob'
+	await m.update({id: 'a', v: 2, x: 'y'})
+	now = 3000
+	await m.remove('a')
+	await m.set({id: 'b', v: 5})
+	expect(await m.getHistory('a')).toEqual([
+		{value: {id: 'a', v: 1}, validFrom: 1000, validTo: 2000, actor: 'ann'},
+		{
+			value: {id: 'a', v: 2, x: 'y'},
+			validFrom: 2000,
+			validTo: 3000,
+			actor: 'bob',
+		},
+	])
+	expect(await m.getHistory('b')).toEqual([
+		{value: {id: 'b', v: 5}, validFrom: 3000, validTo: null, actor: 'bob'},
+	])
+	expect(await m.getHistory('c')).toEqual([])
+	expect(
+		await m.db.get(`SELECT COUNT(*) AS c FROM "testing history"`)
+	).toEqual({c: 3})
+})
+
+test('getAsOf and search asOf', async () => {
+	const m = getModel({
+		columns: {v: {type: 'INTEGER'}, g: {}},
+		keepHistory: true,
+		softDelete: true,
+	})
+	await m.setMany([
+		{id: 'a', v: 1, g: 'x'},
+		{id: 'b', v: 1, g: 'x'},
+	])
+	now = 2000
+	await m.set({id: 'a', v: 2, g: 'x'})
+	await m.remove('b')
+	now = 3000
+	await m.changeId('a', 'c')
+	expect(await m.getAsOf('a', 999)).toBeFalsy()
+	expect(await m.getAsOf('a', 1000)).toEqual({id: 'a', v: 1, g: 'x'})
+	expect(await m.getAsOf('a', new Date(2500))).toEqual({id: 'a', v: 2, g: 'x'})
+	expect(await m.getAsOf('a', 3000)).toBeFalsy()
+	expect(await m.getAsOf('c', 3000)).toEqual({id: 'c', v: 2, g: 'x'})
+	expect(await m.getAsOf('b', 1500)).toEqual({id: 'b', v: 1, g: 'x'})
+	expect(await m.getAsOf('b', 2000)).toBeFalsy()
+	expect(
+		await m.searchAll({g: 'x'}, {asOf: 1500, sort: {id: 1}, cols: ['id', 'v']})
+	).toEqual([
+		{id: 'a', v: 1},
+		{id: 'b', v: 1},
+	])
+	expect(await m.count({g: 'x'}, {asOf: 2000})).toBe(1)
+	expect(
+		await m.searchAll(null, {asOf: 2000, withDeleted: true, cols: ['id']})
+	).toHaveLength(2)
+	expect(await m.search(null, {asOf: 3000, limit: 1})).toMatchObject({
+		items: [{id: 'c'}],
+		total: 1,
+	})
+})
+
+test('asOf errors', async () => {
+	await expect(getModel().search(null, {asOf: 1})).rejects.toThrow(
+		'keepHistory'
+	)
+	const m = getModel({
+		keepHistory: true,
+		keepRowId: true,
+		columns: {t: {textSearch: true}},
+	})
+	await m.set({id: 'a', t: 'hi'})
+	await expect(m.search({t: 'hi'}, {asOf: 1000})).rejects.toThrow('textSearch')
+	expect(await m.search({t: 'hi'})).toHaveProperty('total', 1)
+	await expect(getModel().getHistory('a')).rejects.toThrow('keepHistory')
+})
+
+test('keepHistory on existing tables and migrations', () =>
+	tmp.withDir(
+		async ({path: dir}) => {
+			const file = sysPath.join(dir, 'db')
+			const m1 = new DB({file}).addModel(JsonModel, {name: 'testing'})
+			await m1.set({id: 'a', v: 1})
+			await m1.db.close()
+			now = 2000
+			const m2 = new DB({file}).addModel(JsonModel, {
+				name: 'testing',
+				keepHistory: true,
+				migrations: {m1: ({model}) => model.set({id: 'b', v: 2})},
+			})
+			expect(await m2.getHistory('a')).toEqual([
+				{value: {id: 'a', v: 1}, validFrom: 2000, validTo: null, actor: null},
+			])
+			expect(await m2.getAsOf('b', 2000)).toEqual({id: 'b', v: 2})
+			await m2.db.close()
+			now = 3000
+			// New columns are added to the history as well
+			const m3 = new DB({file}).addModel(JsonModel, {
+				name: 'testing',
+				columns: {v: {type: 'INTEGER'}},
+				keepHistory: true,
+			})
+			await m3.set({id: 'a', v: 3})
+			expect(await m3.getAsOf('a', 2000)).toEqual({id: 'a', v: 1})
+			expect(await m3.searchAll({v: 3}, {asOf: 3000})).toEqual([
+				{id: 'a', v: 3},
+			])
+			await m3.db.close()
+		},
+		{unsafeCleanup: true, prefix: 'jm-history'}
+	))
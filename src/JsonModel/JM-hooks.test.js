@@ -0,0 +1,171 @@
+import {DB, JsonModel, getModel} from '../lib/_test-helpers'
+
+const recordChanges = m => {
+	const changes = []
+	m.on('change', c => changes.push(c))
+	return changes
+}
+
+test('beforeSet can change or refuse objects', async () => {
+	const m = getModel({
+		columns: {id: {type: 'INTEGER'}},
+		beforeSet(obj) {
+			if (obj.bad) throw new Error('bad object')
+			if (obj.fix) return {...obj, fix: undefined, fixed: this.name}
+		},
+	})
+	expect(await m.set({id: 1, fix: true})).toEqual({id: 1, fixed: 'testing'})
+	expect(await m.set({id: 2})).toEqual({id: 2})
+	await expect(m.set({id: 3, bad: true})).rejects.toThrow('bad object')
+	expect(
+		await m.setMany([
+			{id: 4, fix: true},
+			{id: 5, bad: true},
+		])
+	).toEqual([
+		{ok: true, id: 4, value: {id: 4, fixed: 'testing'}},
+		{ok: false, id: 5, error: expect.any(Error)},
+	])
+	expect(await m.all()).toHaveLength(3)
+})
+
+test('afterSet gets the previous object and can undo', async () => {
+	const calls = []
+	const m = getModel({
+		afterSet(next, prev) {
+			calls.push([next, prev])
+			if (next.bad) throw new Error('bad object')
+		},
+	})
+	await m.set({id: 'a', v: 1})
+	await m.update({id: 'a', v: 2})
+	expect(calls).toEqual([
+		[{id: 'a', v: 1}, undefined],
+		[
+			{id: 'a', v: 2},
+			{id: 'a', v: 1},
+		],
+	])
+	await expect(m.set({id: 'a', bad: true})).rejects.toThrow('bad object')
+	expect(await m.get('a')).toEqual({id: 'a', v: 2})
+})
+
+test('remove hooks', async () => {
+	const calls = []
+	const m = getModel({
+		beforeRemove(id, prev) {
+			calls.push(['before', id, prev])
+			if (prev.keep) throw new Error('keep it')
+		},
+		afterRemove(id, prev) {
+			calls.push(['after', id, prev])
+		},
+	})
+	await m.set({id: 'a'})
+	await m.set({id: 'b', keep: true})
+	await m.remove('a')
+	await m.remove('missing')
+	await expect(m.remove('b')).rejects.toThrow('keep it')
+	expect(await m.get('b')).toBeTruthy()
+	expect(calls).toEqual([
+		['before', 'a', {id: 'a'}],
+		['after', 'a', {id: 'a'}],
+		['before', 'b', {id: 'b', keep: true}],
+	])
+	expect(await m.removeMany(['a', 'b'])).toMatchObject([
+		{ok: true, id: 'a'},
+		{ok: false, id: 'b'},
+	])
+})
+
+test('change events', async () => {
+	const m = getModel({softDelete: true})
+	const changes = recordChanges(m)
+	await m.set({id: 'a', v: 1})
+	await m.set({id: 'a', v: 2})
+	await m.patch('a', {v: 3})
+	await m.remove('a')
+	await m.restore('a')
+	await m.changeId('a', 'b')
+	expect(changes).toEqual([
+		{type: 'insert', id: 'a', prev: undefined, next: {id: 'a', v: 1}},
+		{type: 'update', id: 'a', prev: {id: 'a', v: 1}, next: {id: 'a', v: 2}},
+		{type: 'update', id: 'a', prev: {id: 'a', v: 2}, next: {id: 'a', v: 3}},
+		{type: 'remove', id: 'a', prev: {id: 'a', v: 3}},
+		{type: 'insert', id: 'a', next: {id: 'a', v: 3}},
+		{type: 'remove', id: 'a', prev: {id: 'a', v: 3}},
+		{type: 'insert', id: 'b', next: {id: 'b', v: 3}},
+	])
+})
+
+test('change events wait for the commit', async () => {
+	const m = getModel()
+	const changes = recordChanges(m)
+	await m.db.withTransaction(async () => {
+		await m.set({id: 'a'})
+		await m.set({id: 'b'})
+		expect(changes).toEqual([])
+	})
+	expect(changes.map(c => c.id)).toEqual(['a', 'b'])
+	await expect(
+		m.db.withTransaction(async () => {
+			await m.set({id: 'c'})
+			throw new Error('oops')
+		})
+	).rejects.toThrow('oops')
+	expect(await m.get('c')).toBeFalsy()
+	await m.remove('a')
+	expect(changes.map(c => c.id)).toEqual(['a', 'b', 'a'])
+})
+
+test('failing change listeners keep the write', async () => {
+	const m = getModel()
+	m.on('change', () => {
+		throw new Error('listener')
+	})
+	const changes = recordChanges(m)
+	const once = jest.fn()
+	m.once('change', once)
+	const spy = jest.spyOn(console, 'error').mockImplementation(() => {})
+	try {
+		await m.db.withTransaction(async () => {
+			await m.set({id: 'a'})
+			await m.set({id: 'b'})
+		})
+		expect(spy).toHaveBeenCalledTimes(2)
+		expect(spy).toHaveBeenCalledWith(
+			'testing: change listener failed',
+			expect.any(Error)
+		)
+	} finally {
+		spy.mockRestore()
+	}
+	expect(await m.get('a')).toEqual({id: 'a'})
+	expect(changes.map(c => c.id)).toEqual(['a', 'b'])
+	expect(once).toHaveBeenCalledTimes(1)
+})
+
+test('expired objects emit remove', async () => {
+	const m = getModel({expiresAt: true})
+	await m.set({id: 'a', expiresAt: 1})
+	const changes = recordChanges(m)
+	await m.sweepExpired()
+	expect(changes).toEqual([
+		{type: 'remove', id: 'a', prev: {id: 'a', expiresAt: 1}},
+	])
+})
+
+test('migrations skip the hooks', async () => {
+	const db = new DB()
+	const afterSet = jest.fn()
+	const m = db.addModel(JsonModel, {
+		name: 'testing',
+		afterSet,
+		migrations: {
+			m1: ({model}) => model.set({id: 'a'}),
+		},
+	})
+	expect(await m.get('a')).toEqual({id: 'a'})
+	expect(afterSet).not.toHaveBeenCalled()
+	await db.close()
+})
@@ -0,0 +1,88 @@
+import {DB, JsonModel} from '../lib/_test-helpers'
+
+const getStore = async () => {
+	const db = new DB()
+	db.addModel(JsonModel, {
+		name: 'users',
+		relations: {
+			posts: {type: 'hasMany', model: 'posts', column: 'authorId'},
+			profile: {type: 'hasOne', model: 'profiles', column: 'userId'},
+		},
+	})
+	db.addModel(JsonModel, {
+		name: 'posts',
+		columns: {authorId: {real: true}},
+		relations: {
+			author: {type: 'belongsTo', model: 'users', column: 'authorId'},
+		},
+	})
+	db.addModel(JsonModel, {name: 'profiles', columns: {userId: {}}})
+	const {users, posts, profiles} = db.store
+	await users.set({id: 'u1', name: 'one'})
+	await users.set({id: 'u2', name: 'two'})
+	await posts.set({id: 'p1', authorId: 'u1'})
+	await posts.set({id: 'p2', authorId: 'u1'})
+	await posts.set({id: 'p3', authorId: 'missing'})
+	await posts.set({id: 'p4'})
+	await profiles.set({id: 'pr1', userId: 'u2'})
+	return db
+}
+
+test('relations validation', () => {
+	const db = new DB()
+	expect(() =>
+		db.addModel(JsonModel, {
+			name: 'posts',
+			relations: {author: {type: 'belongsTo', model: 'users', column: 'nope'}},
+		})
+	).toThrow('column nope')
+})
+
+test('include belongsTo', async () => {
+	const db = await getStore()
+	const getAll = jest.spyOn(db.store.users, 'getAll')
+	const posts = await db.store.posts.searchAll(null, {include: ['author']})
+	expect(getAll).toHaveBeenCalledTimes(1)
+	expect(getAll).toHaveBeenCalledWith(['u1', 'missing'])
+	expect(posts).toEqual([
+		{id: 'p1', authorId: 'u1', author: {id: 'u1', name: 'one'}},
+		{id: 'p2', authorId: 'u1', author: {id: 'u1', name: 'one'}},
+		{id: 'p3', authorId: 'missing', author: null},
+		{id: 'p4', author: null},
+	])
+	await db.close()
+})
+
+test('include hasMany and hasOne', async () => {
+	const db = await getStore()
+	const {items} = await db.store.users.search(null, {
+		include: ['posts', 'profile'],
+	})
+	expect(items).toEqual([
+		{
+			id: 'u1',
+			name: 'one',
+			posts: [
+				{id: 'p1', authorId: 'u1'},
+				{id: 'p2', authorId: 'u1'},
+			],
+			profile: null,
+		},
+		{
+			id: 'u2',
+			name: 'two',
+			posts: [],
+			profile: {id: 'pr1', userId: 'u2'},
+		},
+	])
+	expect(
+		await db.store.users.searchOne({id: 'u2'}, {include: ['posts']})
+	).toEqual({id: 'u2', name: 'two', posts: []})
+	expect(
+		await db.store.users.searchOne({id: 'nope'}, {include: ['posts']})
+	).toBeFalsy()
+	await expect(
+		db.store.users.searchAll(null, {include: ['nope']})
+	).rejects.toThrow('unknown relation nope')
+	await db.close()
+})
@@ -63,18 +63,28 @@ test('makeSelect isArray', () => {
 })
 
 test('makeSelect textSearch', () => {
-	const m = getModel({columns: {foo: {textSearch: true}}})
+	const m = getModel({columns: {foo: {textSearch: true}}, keepRowId: true})
 	expect(m.makeSelect({attrs: {foo: 'meep'}})).toEqual([
-		'SELECT tbl."id" AS _i,tbl."json" AS _j FROM "testing" tbl WHERE(json_extract(tbl."json",\'$.foo\') LIKE ?)',
-		['%meep%'],
+		'SELECT tbl."id" AS _i,tbl."json" AS _j FROM "testing" tbl JOIN "testing fts main" _fts_main ON _fts_main.rowid=tbl.rowid WHERE(_fts_main."foo" MATCH ?) ORDER BY _fts_main.rank',
+		['meep'],
 		undefined,
-		'SELECT COUNT(*) as t from ( SELECT tbl."id" AS _i,tbl."json" AS _j FROM "testing" tbl WHERE(json_extract(tbl."json",\'$.foo\') LIKE ?) )',
-		['%meep%'],
+		'SELECT COUNT(*) as t from ( SELECT tbl."id" AS _i,tbl."json" AS _j FROM "testing" tbl JOIN "testing fts main" _fts_main ON _fts_main.rowid=tbl.rowid WHERE(_fts_main."foo" MATCH ?) )',
+		['meep'],
 	])
 })
 
+test('makeSelect textSearch sort', () => {
+	const m = getModel({columns: {foo: {textSearch: true}}, keepRowId: true})
+	expect(m.makeSelect({attrs: {foo: 'meep'}, sort: {foo: 1}})[0]).toEqual(
+		'SELECT tbl."id" AS _i,tbl."json" AS _j FROM "testing" tbl JOIN "testing fts main" _fts_main ON _fts_main.rowid=tbl.rowid WHERE(_fts_main."foo" MATCH ?) ORDER BY json_extract(tbl."json",\'$.foo\')'
+	)
+	expect(m.makeSelect({attrs: {foo: 'meep'}, limit: 2})[0]).toEqual(
+		'SELECT tbl."id" AS _i,tbl."json" AS _j,_fts_main.rank AS _rank_main FROM "testing" tbl JOIN "testing fts main" _fts_main ON _fts_main.rowid=tbl.rowid WHERE(_fts_main."foo" MATCH ?) ORDER BY _rank_main,_i LIMIT 2'
+	)
+})
+
 test('makeSelect textSearch falsy', () => {
-	const m = getModel({columns: {foo: {textSearch: true}}})
+	const m = getModel({columns: {foo: {textSearch: true}}, keepRowId: true})
 	expect(m.makeSelect({attrs: {foo: ''}})).toEqual([
 		'SELECT tbl."id" AS _i,tbl."json" AS _j FROM "testing" tbl',
 		[],
@@ -89,12 +99,9 @@ test('makeSelect textSearch falsy', () => {
 		'SELECT COUNT(*) as t from ( SELECT tbl."id" AS _i,tbl."json" AS _j FROM "testing" tbl )',
 		[],
 	])
-	expect(m.makeSelect({attrs: {foo: 0}})).toEqual([
-		'SELECT tbl."id" AS _i,tbl."json" AS _j FROM "testing" tbl WHERE(json_extract(tbl."json",\'$.foo\') LIKE ?)',
-		['%0%'],
-		undefined,
-		'SELECT COUNT(*) as t from ( SELECT tbl."id" AS _i,tbl."json" AS _j FROM "testing" tbl WHERE(json_extract(tbl."json",\'$.foo\') LIKE ?) )',
-		['%0%'],
+	expect(m.makeSelect({attrs: {foo: 0}}).slice(0, 2)).toEqual([
+		'SELECT tbl."id" AS _i,tbl."json" AS _j FROM "testing" tbl JOIN "testing fts main" _fts_main ON _fts_main.rowid=tbl.rowid WHERE(_fts_main."foo" MATCH ?) ORDER BY _fts_main.rank',
+		['0'],
 	])
 })
 
@@ -277,7 +284,7 @@ test('avg', async () => {
 	expect(await m.avg('v')).toBe(5)
 	expect(
 		await m.avg('v', null, {
-			where: {'CAST(json_extract(json,"$.v") as NUMERIC)>0': []},
+			where: {"CAST(json_extract(json,'$.v') as NUMERIC)>0": []},
 		})
 	).toBe(7.5)
 })
@@ -103,3 +103,192 @@ test('column add', () =>
 		},
 		{unsafeCleanup: true, prefix: 'jm-coladd'}
 	))
+
+test('down migrations', async () => {
+	const db = new DB()
+	const m = db.addModel(JsonModel, {
+		name: 'm',
+		migrations: {
+			addFoo: {
+				up: ({model, hi}) => model.set({id: 'foo', hi}),
+				down: ({model, hi}) => model.remove({id: 'foo', hi}),
+			},
+		},
+		migrationOptions: {hi: 3},
+	})
+	expect(await m.searchAll()).toEqual([{id: 'foo', hi: 3}])
+	await expect(db.rollbackMigrations({to: '0 m'})).resolves.toEqual([
+		'addFoo m',
+	])
+	expect(await m.searchAll()).toEqual([])
+	await db.close()
+})
+
+test('dry run migrations', () =>
+	tmp.withDir(
+		async ({path: dir}) => {
+			const db = new DB({file: sysPath.join(dir, 'db')})
+			const m = db.addModel(JsonModel, {
+				name: 'm',
+				migrations: {addFoo: ({model}) => model.set({id: 'foo'})},
+			})
+			const {migrations, changes} = await db.runMigrations({dryRun: true})
+			expect(migrations.map(r => r.runKey)).toEqual(['0 m', 'addFoo m'])
+			expect(migrations[1].queries).toEqual([
+				expect.objectContaining({
+					sql: expect.stringMatching(/^INSERT/),
+					changes: 1,
+				}),
+			])
+			expect(changes).toBe(1)
+			expect(await m.searchAll()).toEqual([{id: 'foo'}])
+			await db.close()
+		},
+		{unsafeCleanup: true, prefix: 'jm-dryrun'}
+	))
+
+test('column version rewrites rows', () =>
+	tmp.withDir(
+		async ({path: dir}) => {
+			const file = sysPath.join(dir, 'db')
+			const open = (value, version) => {
+				const db = new DB({file})
+				const m = db.addModel(JsonModel, {
+					name: 'm',
+					columns: {
+						id: {type: 'INTEGER'},
+						len: {type: 'INTEGER', value, version, get: true},
+					},
+				})
+				return {db, m}
+			}
+			const v1 = open(o => o.s.length)
+			await v1.db.withTransaction(async () => {
+				for (let id = 1; id <= 250; id++)
+					// eslint-disable-next-line no-await-in-loop
+					await v1.m.set({id, s: 'x'.repeat(id % 10)})
+			})
+			expect(await v1.m.get(12)).toEqual({id: 12, s: 'xx', len: 2})
+			await v1.db.close()
+
+			const v2 = open(o => o.s.length * 2, 2)
+			expect(await v2.m.get(12)).toEqual({id: 12, s: 'xx', len: 4})
+			expect(await v2.m.count({len: 18})).toBe(25)
+			expect(await v2.m.searchOne({len: 18})).toHaveProperty('s', 'x'.repeat(9))
+			await v2.db.close()
+
+			// Only once per version
+			const value = jest.fn(o => o.s.length * 2)
+			const again = open(value, 2)
+			await again.db.open()
+			expect(value).not.toHaveBeenCalled()
+			await again.db.close()
+			expect(() => open(value, 1.5)).toThrow('version')
+		},
+		{unsafeCleanup: true, prefix: 'jm-version'}
+	))
+
+test('column version rewrites removed and expired rows', () =>
+	tmp.withDir(
+		async ({path: dir}) => {
+			const file = sysPath.join(dir, 'db')
+			const open = (value, version) => {
+				const db = new DB({file})
+				const m = db.addModel(JsonModel, {
+					name: 'm',
+					softDelete: true,
+					ttl: 100000,
+					columns: {
+						id: {type: 'INTEGER'},
+						up: {type: 'INTEGER', value, version, get: true},
+					},
+				})
+				return {db, m}
+			}
+			const v1 = open(() => 1)
+			await v1.m.setMany([{id: 1}, {id: 2}, {id: 3}])
+			await v1.m.remove(2)
+			await v1.db.run(`UPDATE m SET expiresAt = 5 WHERE id = 3`)
+			await v1.db.close()
+
+			const v2 = open(() => 10, 2)
+			expect(await v2.m.get(1)).toHaveProperty('up', 10)
+			await expect(v2.m.restore(2)).resolves.toBe(true)
+			expect(await v2.m.get(2)).toHaveProperty('up', 10)
+			// the expired row stays expired
+			const row = await v2.db.get(`SELECT up, expiresAt FROM m WHERE id = 3`)
+			expect(row).toEqual({up: 10, expiresAt: 5})
+			await v2.db.close()
+		},
+		{unsafeCleanup: true, prefix: 'jm-version-all'}
+	))
+
+const getIndexes = db =>
+	db.all(
+		`SELECT name, sql FROM sqlite_master WHERE type='index' AND name LIKE '\\_sdb\\_%' ESCAPE '\\' ORDER BY name`
+	)
+
+test('model indexes', () =>
+	tmp.withDir(
+		async ({path: dir}) => {
+			const file = sysPath.join(dir, 'db')
+			const open = indexes => {
+				const db = new DB({file})
+				const m = db.addModel(JsonModel, {
+					name: 'm',
+					columns: {
+						a: {type: 'TEXT'},
+						b: {},
+						c: {type: 'INTEGER'},
+					},
+					indexes,
+				})
+				return {db, m}
+			}
+			const v1 = open([
+				{name: 'ab', columns: ['a', 'b'], where: 'a IS NOT NULL'},
+				{name: 'c', columns: ['c'], unique: true},
+			])
+			expect(await getIndexes(v1.db)).toEqual([
+				{
+					name: '_sdb_m_ab',
+					sql: `CREATE INDEX "_sdb_m_ab" ON "m"("a", json_extract("json",'$.b')) WHERE a IS NOT NULL`,
+				},
+				{
+					name: '_sdb_m_c',
+					sql: `CREATE UNIQUE INDEX "_sdb_m_c" ON "m"("c")`,
+				},
+			])
+			await v1.db.close()
+
+			const v2 = open([
+				{name: 'ab', columns: ['b', 'a']},
+				{name: 'expr', expression: 'c * 2'},
+			])
+			expect(await getIndexes(v2.db)).toEqual([
+				{
+					name: '_sdb_m_ab',
+					sql: `CREATE INDEX "_sdb_m_ab" ON "m"(json_extract("json",'$.b'), "a")`,
+				},
+				{
+					name: '_sdb_m_expr',
+					sql: `CREATE INDEX "_sdb_m_expr" ON "m"(c * 2)`,
+				},
+			])
+			await v2.db.close()
+
+			// Removing the option drops the indexes as well
+			const v2b = open()
+			expect(await getIndexes(v2b.db)).toEqual([])
+			await v2b.db.close()
+
+			const v3 = open([])
+			expect(await getIndexes(v3.db)).toEqual([])
+			await v3.db.close()
+
+			expect(() => open([{name: 'x', columns: ['nope']}])).toThrow(
+				'unknown column nope'
+			)
+		},
+		{unsafeCleanup: true, prefix: 'jm-indexes'}
+	))
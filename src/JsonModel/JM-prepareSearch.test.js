@@ -0,0 +1,143 @@
+import {getModel} from '../lib/_test-helpers'
+import {rewriteIn} from './PreparedSearch'
+
+const ids = items => items.map(i => i.id)
+
+const getPrepModel = () =>
+	getModel({
+		columns: {
+			id: {type: 'INTEGER'},
+			c: {type: 'TEXT'},
+			n: {type: 'INTEGER', real: true},
+			tags: {isArray: true},
+		},
+	})
+
+const fill = m =>
+	Promise.all(
+		'aabbccdd'
+			.split('')
+			.map((c, i) => m.set({id: i, c, n: i * 10, tags: [c, `t${i % 2}`]}))
+	)
+
+test('rewriteIn', () => {
+	expect(rewriteIn('a=?')).toEqual({sql: 'a=?', toVals: expect.any(Function)})
+	const {sql, toVals} = rewriteIn('b>? AND a IN (?, ?,?) AND c<?')
+	expect(sql).toBe('b>? AND a IN (SELECT value FROM json_each(?)) AND c<?')
+	expect(toVals([1, 'x', 'y', 2])).toEqual([1, '["x","y"]', 2])
+	expect(toVals([1, 'x', 'y', 'z', 'w', 2])).toEqual([
+		1,
+		'["x","y","z","w"]',
+		2,
+	])
+	expect(() => toVals([1])).toThrow('not enough')
+	expect(() => rewriteIn('a IN (?) OR b IN (?)')).toThrow('only one')
+})
+
+test('prepareSearch attrs', async () => {
+	const m = getPrepModel()
+	await fill(m)
+	const q = m.prepareSearch({c: 'a'})
+	expect(ids(await q.searchAll())).toEqual([0, 1])
+	expect(ids(await q.searchAll({c: 'b'}))).toEqual([2, 3])
+	expect(ids(await q.searchAll({c: 'c'}))).toEqual([4, 5])
+	expect(await q.count({c: 'd'})).toBe(2)
+	const q2 = m.prepareSearch({tags: 't0'})
+	expect(ids(await q2.searchAll())).toEqual([0, 2, 4, 6])
+	expect(ids(await q2.searchAll({tags: 'c'}))).toEqual([4, 5])
+})
+
+test('prepareSearch reuses statements', async () => {
+	const m = getPrepModel()
+	await fill(m)
+	const q = m.prepareSearch({c: 'a'}, {where: {'n IN (?,?)': [10, 20]}})
+	expect(ids(await q.searchAll())).toEqual([1])
+	const stmtCount = Object.keys(m.db.statements).length
+	expect(
+		ids(await q.searchAll({c: 'b'}, {where: {'n IN (?,?)': [10, 20, 30, 40]}}))
+	).toEqual([2, 3])
+	expect(
+		ids(await q.searchAll({c: 'b'}, {where: {'n IN (?,?)': [30]}}))
+	).toEqual([3])
+	expect(Object.keys(m.db.statements)).toHaveLength(stmtCount)
+})
+
+test('prepareSearch paging', async () => {
+	const m = getPrepModel()
+	await fill(m)
+	const q = m.prepareSearch(
+		{tags: 't1'},
+		{where: {'n>?': [0]}, sort: {n: -1}, limit: 2}
+	)
+	const page1 = await q.search()
+	expect(ids(page1.items)).toEqual([7, 5])
+	expect(page1).toMatchObject({total: 4, hasMore: true, hasPrev: false})
+	const page2 = await q.search(null, {cursor: page1.cursor})
+	expect(ids(page2.items)).toEqual([3, 1])
+	// The last page has no cursor
+	expect(page2).toMatchObject({hasMore: false, hasPrev: true})
+	expect(page2.cursor).toBeUndefined()
+	// Same results as an unprepared search
+	expect(page2).toEqual(
+		await m.search(
+			{tags: 't1'},
+			{where: {'n>?': [0]}, sort: {n: -1}, limit: 2, cursor: page1.cursor}
+		)
+	)
+	const back = await q.search(null, {before: page2.prevCursor})
+	expect(back).toEqual({...page1, total: 4})
+	expect(back.prevCursor).toBeUndefined()
+	await expect(
+		q.search(null, {cursor: page1.cursor, before: page2.prevCursor})
+	).rejects.toThrow('either cursor or before')
+	expect(ids(await q.searchAll(null, {before: page2.prevCursor}))).toEqual([
+		7,
+		5,
+	])
+	const other = await q.search({tags: 't0'}, {where: {'n>?': [20]}})
+	expect(ids(other.items)).toEqual([6, 4])
+	expect(other).toMatchObject({total: 2, hasMore: false})
+	const other1 = await q.search({tags: 't0'})
+	expect(ids(other1.items)).toEqual([6, 4])
+	expect(
+		ids((await q.search({tags: 't0'}, {cursor: other1.cursor})).items)
+	).toEqual([2])
+})
+
+test('prepareSearch paging over NULL values', async () => {
+	const m = getModel({
+		columns: {id: {type: 'INTEGER'}, r: {type: 'INTEGER', real: true}},
+	})
+	await Promise.all([2, null, 1, null, 2].map((r, id) => m.set({id, r})))
+	const q = m.prepareSearch(null, {sort: {r: -1}, limit: 2})
+	const page1 = await q.search()
+	expect(page1.items).toEqual([
+		{id: 0, r: 2},
+		{id: 4, r: 2},
+	])
+	const page2 = await q.search(null, {cursor: page1.cursor})
+	expect(page2.items).toEqual([{id: 2, r: 1}, {id: 1}])
+	const page3 = await q.search(null, {cursor: page2.cursor})
+	expect(page3).toMatchObject({items: [{id: 3}], hasMore: false})
+	expect((await q.search(null, {before: page3.prevCursor})).items).toEqual(
+		page2.items
+	)
+})
+
+test('prepareSearch fixed shape', async () => {
+	const m = getPrepModel()
+	await fill(m)
+	const q = m.prepareSearch({c: 'a'}, {where: {'n>?': [0]}, limit: 5})
+	await expect(q.search({tags: 'a'})).rejects.toThrow('attribute')
+	await expect(q.search({c: 'a', tags: 'a'})).rejects.toThrow('attributes')
+	await expect(q.search({c: null})).rejects.toThrow('attributes')
+	await expect(q.search(null, {where: {'n<?': [0]}})).rejects.toThrow(
+		'where keys'
+	)
+	await expect(q.search(null, {limit: 3})).rejects.toThrow('limit')
+	await expect(q.search(null, {limit: 5})).resolves.toBeTruthy()
+	expect(() => m.prepareSearch({c: 'a'}, {where: {'c=?': ['b']}})).not.toThrow()
+	expect(() =>
+		m.prepareSearch({c: 'a'}, {where: {[m.columns.c.where]: ['b']}})
+	).toThrow('duplicate')
+})
@@ -0,0 +1,148 @@
+import sysPath from 'path'
+import tmp from 'tmp-promise'
+import {DB, JsonModel} from '../lib/_test-helpers'
+import ForeignKeyError from './ForeignKeyError'
+
+const getModels = (onDelete, file) => {
+	const db = new DB({file})
+	const users = db.addModel(JsonModel, {name: 'users'})
+	const posts = db.addModel(JsonModel, {
+		name: 'posts',
+		columns: {userId: {references: {model: 'users', onDelete}}},
+	})
+	return {db, users, posts}
+}
+
+test('references validation', () => {
+	const db = new DB()
+	expect(() =>
+		db.addModel(JsonModel, {
+			name: 'posts',
+			columns: {userId: {references: {model: 'users', onDelete: 'nope'}}},
+		})
+	).toThrow()
+})
+
+test('references set and restrict', async () => {
+	const {db, users, posts} = getModels()
+	const err = await posts.set({id: 'p', userId: 'u'}).catch(e => e)
+	expect(err).toBeInstanceOf(ForeignKeyError)
+	expect(err).toMatchObject({model: 'posts', operation: 'set', id: 'p'})
+	await users.set({id: 'u'})
+	await posts.set({id: 'p', userId: 'u'})
+	expect(await posts.get('p')).toEqual({id: 'p', userId: 'u'})
+	expect(await posts.search({userId: 'u'})).toHaveProperty('items.length', 1)
+	await expect(users.remove('u')).rejects.toThrow(ForeignKeyError)
+	await expect(users.changeId('u', 'v')).rejects.toThrow(
+		'users: cannot changeId u: the object is still referenced'
+	)
+	await posts.set({id: 'p'})
+	await users.remove('u')
+	expect(await users.all()).toEqual([])
+	await db.close()
+})
+
+test('references cascade and setNull', async () => {
+	const cascade = getModels('cascade')
+	await cascade.users.set({id: 'u'})
+	await cascade.posts.set({id: 'p', userId: 'u'})
+	await cascade.users.remove('u')
+	expect(await cascade.posts.all()).toEqual([])
+	await cascade.db.close()
+
+	const setNull = getModels('setNull')
+	await setNull.users.set({id: 'u'})
+	await setNull.posts.set({id: 'p', userId: 'u'})
+	await setNull.users.remove('u')
+	expect(await setNull.posts.all()).toEqual([{id: 'p'}])
+	await setNull.db.close()
+})
+
+test('references on existing column rebuilds the table', () =>
+	tmp.withDir(
+		async ({path: dir}) => {
+			const file = sysPath.join(dir, 'db')
+			const db1 = new DB({file})
+			db1.addModel(JsonModel, {name: 'users'})
+			const posts1 = db1.addModel(JsonModel, {
+				name: 'posts',
+				columns: {userId: {real: true, index: true}},
+			})
+			await db1.store.users.set({id: 'u'})
+			await posts1.set({id: 'p1', userId: 'u', t: 1})
+			await posts1.set({id: 'p2', t: 2})
+			await posts1.remove('p2')
+			await db1.close()
+
+			const v2 = getModels('cascade', file)
+			expect(await v2.posts.all()).toEqual([{id: 'p1', userId: 'u', t: 1}])
+			const table = await v2.db.get(
+				`SELECT sql FROM sqlite_master WHERE name='posts'`
+			)
+			expect(table.sql).toMatch(
+				`"userId" BLOB REFERENCES "users"("id") ON DELETE CASCADE`
+			)
+			const indexes = await v2.db.all(`PRAGMA index_list(posts)`)
+			expect(indexes.map(i => i.name).sort()).toEqual([
+				'posts_id',
+				'posts_userId',
+			])
+			// Deleted ids are not reused
+			expect(await v2.posts.set({t: 3})).toBeTruthy()
+			expect(await v2.db.get(`SELECT max(rowId) AS m FROM posts`)).toEqual({
+				m: 3,
+			})
+			await v2.users.remove('u')
+			expect(await v2.posts.all()).toEqual([expect.objectContaining({t: 3})])
+			await v2.db.close()
+
+			// Changing onDelete rebuilds again
+			const v3 = getModels('restrict', file)
+			await v3.users.set({id: 'u'})
+			await v3.posts.set({id: 'p', userId: 'u'})
+			await expect(v3.users.remove('u')).rejects.toThrow(ForeignKeyError)
+			await v3.db.close()
+		},
+		{unsafeCleanup: true, prefix: 'jm-references'}
+	))
+
+test('references migration fails on missing rows', () =>
+	tmp.withDir(
+		async ({path: dir}) => {
+			const file = sysPath.join(dir, 'db')
+			const db1 = new DB({file})
+			db1.addModel(JsonModel, {name: 'users'})
+			const posts1 = db1.addModel(JsonModel, {
+				name: 'posts',
+				columns: {userId: {real: true}},
+			})
+			await posts1.set({id: 'p', userId: 'missing'})
+			await db1.close()
+
+			const v2 = getModels('cascade', file)
+			await expect(v2.db.runMigrations({dryRun: true})).rejects.toThrow(
+				'1 foreign key violation(s), e.g. posts row 1 references a missing users row'
+			)
+		},
+		{unsafeCleanup: true, prefix: 'jm-references'}
+	))
+
+test('migrations keep foreign key actions', () =>
+	tmp.withDir(
+		async ({path: dir}) => {
+			const file = sysPath.join(dir, 'db')
+			const v1 = getModels('cascade', file)
+			await v1.users.set({id: 'u'})
+			await v1.posts.set({id: 'p', userId: 'u'})
+			await v1.db.close()
+
+			// Only the migrations that rebuild tables turn the foreign keys off
+			const v2 = getModels('cascade', file)
+			v2.db.registerMigrations('cleanup', {
+				removeUser: db => db.exec(`DELETE FROM users WHERE id = 'u'`),
+			})
+			expect(await v2.posts.all()).toEqual([])
+			await v2.db.close()
+		},
+		{unsafeCleanup: true, prefix: 'jm-references'}
+	))
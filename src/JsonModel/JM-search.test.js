@@ -65,6 +65,8 @@ test('search cursor', async () => {
 			{id: 8, c: 'e', d: 'e'},
 		],
 		cursor: '!e~e~8',
+		hasMore: true,
+		hasPrev: false,
 		total: 8,
 	})
 	const n = await m.search(null, {...q, cursor: o.cursor, noTotal: true})
@@ -75,6 +77,9 @@ test('search cursor', async () => {
 			{id: 1, c: 'd', d: 'a'},
 		],
 		cursor: '!d~a~1',
+		prevCursor: '!e~e~9',
+		hasMore: true,
+		hasPrev: true,
 	})
 	const l = await m.search(null, {...q, cursor: n.cursor})
 	expect(l).toEqual({
@@ -83,8 +88,72 @@ test('search cursor', async () => {
 			{id: 7, c: 'c', d: 'd'},
 		],
 		cursor: undefined,
+		prevCursor: '!c~d~6',
+		hasMore: false,
+		hasPrev: true,
 		total: 8,
 	})
+	// Back to the first page
+	const p = await m.search(null, {...q, before: l.prevCursor, noTotal: true})
+	expect(p).toEqual(n)
+	const f = await m.search(null, {...q, before: p.prevCursor})
+	expect(f).toEqual(o)
+	await expect(
+		m.search(null, {...q, before: p.prevCursor, cursor: p.cursor})
+	).rejects.toThrow('either cursor or before')
+})
+
+test('search cursor with NULL values', async () => {
+	const m = getModel({
+		columns: {id: {type: 'INTEGER'}, r: {real: true}, j: {}},
+	})
+	const vals = [null, 1, null, 2, 1, null, 2, null]
+	await Promise.all(
+		vals.map((v, id) => m.set({id, r: v, j: vals[(id + 3) % vals.length]}))
+	)
+	const checkPaging = async sort => {
+		const all = await m.searchAll(null, {sort})
+		const paged = []
+		const prevs = []
+		let page = {}
+		do {
+			// eslint-disable-next-line no-await-in-loop
+			page = await m.search(null, {sort, limit: 3, cursor: page.cursor})
+			paged.push(...page.items)
+			prevs.push(page.prevCursor)
+		} while (page.cursor)
+		expect(paged).toEqual(all)
+		const back = await m.search(null, {sort, limit: 3, before: prevs[1]})
+		expect(back.items).toEqual(all.slice(0, 3))
+	}
+	await Promise.all(
+		[{r: 1}, {r: -1}, {j: 1, r: -1}, {r: -1, j: 1}].map(sort =>
+			checkPaging(sort)
+		)
+	)
+})
+
+test('search hasMore without total', async () => {
+	const m = getModel({columns: {id: {type: 'INTEGER'}}})
+	await Promise.all([1, 2, 3, 4].map(id => m.set({id})))
+	const q = {limit: 2, noTotal: true}
+	const page1 = await m.search(null, q)
+	expect(page1).toEqual({
+		items: [{id: 1}, {id: 2}],
+		cursor: '!2',
+		hasMore: true,
+		hasPrev: false,
+	})
+	const page2 = await m.search(null, {...q, cursor: page1.cursor})
+	expect(page2).toEqual({
+		items: [{id: 3}, {id: 4}],
+		prevCursor: '!3',
+		hasMore: false,
+		hasPrev: true,
+	})
+	expect(await m.search(null, {...q, before: page2.prevCursor})).toEqual(page1)
+	// the extra row is not returned with itemsOnly
+	expect(await m.searchAll(null, q)).toHaveLength(2)
 })
 
 test('search itemsOnly', async () => {
@@ -118,3 +187,73 @@ test('exists id', async () => {
 	await m.set({id: 'foo'})
 	expect(await m.exists('foo')).toBe(true)
 })
+
+test('search operators', async () => {
+	const m = getModel({
+		columns: {
+			id: {type: 'INTEGER'},
+			price: {type: 'NUMERIC'},
+			name: {},
+			tags: {isArray: true},
+		},
+	})
+	await m.set({id: 1, price: 5, name: 'apple', tags: ['a']})
+	await m.set({id: 2, price: 10, name: 'avocado', deleted: true})
+	await m.set({id: 3, price: 15, name: 'banana', tags: ['a', 'b']})
+	await m.set({id: 4, price: 20, name: 'cherry'})
+	const ids = async (attrs, options) =>
+		(await m.searchAll(attrs, options)).map(o => o.id)
+	expect(await ids({price: {$gte: 10, $lt: 20}})).toEqual([2, 3])
+	expect(await ids({price: {$gt: 10, $lte: 20}})).toEqual([3, 4])
+	expect(await ids({name: {$like: 'a%'}})).toEqual([1, 2])
+	expect(await ids({name: {$ne: 'apple'}, price: {$in: [5, 10, 15]}})).toEqual([
+		2,
+		3,
+	])
+	expect(await ids({price: {$nin: [5, 20]}})).toEqual([2, 3])
+	expect(await ids({tags: {$exists: false}})).toEqual([2, 4])
+	expect(await ids({tags: {$exists: true, $eq: 'b'}})).toEqual([3])
+	// $eq: null matches missing values
+	expect(await ids({tags: {$eq: null}})).toEqual([2, 4])
+	expect(await ids({name: {$eq: null}})).toEqual([])
+	expect(await ids({price: {$eq: null, $ne: 5}})).toEqual([])
+	expect(await ids({$or: [{tags: {$eq: null}}, {id: 1}]})).toEqual([1, 2, 4])
+	expect(await ids({name: {$eq: undefined}})).toEqual([1, 2, 3, 4])
+	expect(
+		await ids({
+			$or: [{price: {$lt: 10}}, {name: 'cherry'}],
+			price: {$ne: 20},
+		})
+	).toEqual([1])
+	// an empty alternative matches everything, no alternatives match nothing
+	expect(await ids({$or: [{price: {$lt: 10}}, {}]})).toEqual([1, 2, 3, 4])
+	expect(await ids({$or: [{price: {$lt: 10}}, {name: null}]})).toEqual([
+		1,
+		2,
+		3,
+		4,
+	])
+	expect(await ids({$or: [{price: {$lt: 10}}, {}], price: {$ne: 20}})).toEqual([
+		1,
+		2,
+		3,
+	])
+	expect(await ids({$or: []})).toEqual([])
+	expect(
+		await ids({$and: [{price: {$gt: 5}}, {price: {$lt: 20}}], $or: []})
+	).toEqual([])
+	expect(await ids({$and: [{price: {$gt: 5}}, {price: {$lt: 20}}]})).toEqual([
+		2,
+		3,
+	])
+	expect(await m.count({$or: [{id: 1}, {id: {$gte: 3}}]})).toBe(3)
+	// values are always bound
+	const [q, vals] = m.makeSelect({attrs: {name: {$like: "'; DROP"}}})
+	expect(q).not.toContain('DROP')
+	expect(vals).toEqual(["'; DROP"])
+	await expect(ids({price: {$regex: 'x'}})).rejects.toThrow(
+		'unknown operator $regex'
+	)
+	await expect(ids({tags: {$gt: 'a'}})).rejects.toThrow('isArray')
+	await expect(ids({$or: [{nope: 1}]})).rejects.toThrow('Unknown column nope')
+})
@@ -1,4 +1,5 @@
 import {getModel} from '../lib/_test-helpers'
+import ValidationError from './ValidationError'
 
 test('set with id', async () => {
 	const m = getModel()
@@ -137,6 +138,51 @@ test('updateNoTrans not transactional', async () => {
 	await m.db.run(`END`)
 })
 
+test('patch(id, jsonPatch)', async () => {
+	const m = getModel({
+		columns: {n: {type: 'INTEGER', value: o => o.a.b.length}},
+	})
+	await m.set({id: 'x', a: {b: [1], c: 'c'}, d: 1})
+	await expect(
+		m.patch('x', [
+			{op: 'add', path: '/a/b/-', value: 2},
+			{op: 'remove', path: '/d'},
+		])
+	).resolves.toEqual({id: 'x', a: {b: [1, 2], c: 'c'}, n: 2})
+	// failing operations change nothing
+	await expect(
+		m.patch('x', [
+			{op: 'replace', path: '/a/c', value: 'e'},
+			{op: 'test', path: '/a/c', value: 'c'},
+		])
+	).rejects.toThrow('test failed')
+	expect(await m.get('x')).toHaveProperty('a.c', 'c')
+	await expect(
+		m.patch('x', [{op: 'replace', path: '/id', value: 'y'}])
+	).rejects.toThrow('changeId')
+	await expect(m.patch('y', [])).rejects.toThrow('No object')
+	await expect(m.patch('x', 'nope')).rejects.toThrow('JSON Patch')
+})
+
+test('patch(id, mergePatch)', async () => {
+	const m = getModel()
+	await m.set({id: 'x', a: {b: 1, c: {d: 2}}, e: 3})
+	await expect(
+		m.patch('x', {a: {c: {d: null, f: 4}}, e: null})
+	).resolves.toEqual({id: 'x', a: {b: 1, c: {f: 4}}})
+	expect(await m.get('x')).toEqual({id: 'x', a: {b: 1, c: {f: 4}}})
+	await expect(m.patch('x', {id: null})).rejects.toThrow('changeId')
+})
+
+test('patch reuses existing transaction', async () => {
+	const m = getModel()
+	await m.set({id: 'a', ho: 9})
+	await m.db.withTransaction(async () => {
+		await expect(m.patch('a', {ho: 1}, true)).resolves.not.toThrow()
+	})
+	expect(await m.get('a')).toEqual({id: 'a', ho: 1})
+})
+
 test('.changeId(oldId, newId)', async () => {
 	const m = getModel()
 	await m.set({id: 'a', t: 1})
@@ -167,3 +213,59 @@ test('.changeId(oldId, invalid)', async () => {
 	expect(() => m.changeId('a', null)).toThrow(TypeError)
 	expect(() => m.changeId('a', undefined)).toThrow(TypeError)
 })
+
+describe('validation', () => {
+	test('column validate', async () => {
+		const m = getModel({
+			columns: {
+				count: {validate: v => v == null || v >= 0},
+				name: {
+					validate: (v, obj) => {
+						if (v === obj.count) throw new Error('must differ from count')
+						return true
+					},
+				},
+				// calculated values are validated
+				double: {
+					value: o => o.count * 2,
+					validate: v => Number.isNaN(v) || v < 10,
+				},
+			},
+		})
+		await m.set({id: 'a', count: 1, name: 'a'})
+		const err = await m.set({id: 'b', count: 5, name: 5}).catch(e => e)
+		expect(err).toBeInstanceOf(ValidationError)
+		expect(err.errors).toEqual([
+			{path: 'name', message: 'must differ from count'},
+			{path: 'double', message: 'is invalid'},
+		])
+		await expect(m.set({id: 'c', count: -1})).rejects.toThrow(
+			'count is invalid'
+		)
+		expect(await m.all()).toHaveLength(1)
+	})
+
+	test('model schema', async () => {
+		expect(() => getModel({schema: {type: 'object', foo: 1}})).toThrow(
+			'unsupported schema keyword'
+		)
+		const m = getModel({
+			columns: {count: {validate: v => v == null || v >= 0}},
+			schema: {
+				type: 'object',
+				required: ['name'],
+				properties: {name: {type: 'string'}, tags: {items: {type: 'string'}}},
+			},
+		})
+		await m.set({name: 'a'})
+		const err = await m.set({id: 'x', count: -1, tags: ['a', 2]}).catch(e => e)
+		expect(err).toBeInstanceOf(ValidationError)
+		expect(err.message).toMatch('count is invalid')
+		expect(err.errors).toEqual([
+			{path: 'count', message: 'is invalid'},
+			{path: 'name', message: 'is required'},
+			{path: 'tags.1', message: 'should be string'},
+		])
+		expect(await m.get('x')).toBeFalsy()
+	})
+})
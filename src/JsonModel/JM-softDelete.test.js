@@ -0,0 +1,123 @@
+import {DB, JsonModel, getModel} from '../lib/_test-helpers'
+
+const getSoftModel = options =>
+	getModel({
+		softDelete: true,
+		columns: {id: {type: 'INTEGER'}, group: {type: 'TEXT'}},
+		...options,
+	})
+
+test('softDelete remove hides objects', async () => {
+	const m = getSoftModel()
+	await m.setMany([
+		{id: 1, group: 'a'},
+		{id: 2, group: 'a'},
+		{id: 3, group: 'b'},
+	])
+	const before = Date.now()
+	await m.remove(2)
+	const row = await m.db.get(`SELECT * FROM testing WHERE id = 2`)
+	expect(row.deletedAt).toBeGreaterThanOrEqual(before)
+	expect(await m.get(2)).toBeFalsy()
+	expect(await m.getAll([1, 2])).toEqual([{id: 1, group: 'a'}, undefined])
+	expect(await m.exists(2)).toBe(false)
+	expect(await m.exists({group: 'a'})).toBe(true)
+	expect(await m.count({group: 'a'})).toBe(1)
+	expect(await m.search({group: 'a'})).toMatchObject({
+		items: [{id: 1}],
+		total: 1,
+	})
+	expect(await m.searchAll({group: 'a'}, {withDeleted: true})).toEqual([
+		{id: 1, group: 'a'},
+		{id: 2, group: 'a', deletedAt: row.deletedAt},
+	])
+	expect(await m.searchAll(null, {onlyDeleted: true})).toEqual([
+		{id: 2, group: 'a', deletedAt: row.deletedAt},
+	])
+	expect(await m.prepareSearch({group: 'a'}).count()).toBe(1)
+	// removing again doesn't change the time
+	expect(await m.remove(2)).toHaveProperty('changes', 0)
+})
+
+test('softDelete restore', async () => {
+	const m = getSoftModel({versionCol: 'v'})
+	await m.set({id: 1})
+	await m.remove(1)
+	expect(await m.searchOne({id: 1}, {withDeleted: true})).toHaveProperty('v', 2)
+	await expect(m.restore(1)).resolves.toBe(true)
+	await expect(m.restore(1)).resolves.toBe(false)
+	await expect(m.restore(5)).resolves.toBe(false)
+	expect(await m.get(1)).toEqual({id: 1, v: 3})
+	// storing a removed object also restores it
+	await m.remove(1)
+	await m.set({id: 1, a: 1})
+	expect(await m.get(1)).toEqual({id: 1, a: 1, v: 5})
+})
+
+test('softDelete restore runs afterSet', async () => {
+	const afterSet = jest.fn()
+	const changes = []
+	const m = getModel({softDelete: true, afterSet})
+	m.on('change', c => changes.push(c))
+	await m.set({id: 'a'})
+	await m.remove('a')
+	afterSet.mockClear()
+	changes.length = 0
+	await m.restore('a')
+	expect(afterSet).toHaveBeenCalledWith({id: 'a'}, undefined)
+	expect(changes).toEqual([
+		{type: 'insert', id: 'a', prev: undefined, next: {id: 'a'}},
+	])
+})
+
+test('softDelete all() hides removed objects', async () => {
+	const m = getModel({softDelete: true})
+	await m.set({id: 'a'})
+	await m.set({id: 'b'})
+	await m.remove('a')
+	expect(await m.all()).toEqual([{id: 'b'}])
+})
+
+test('softDelete purge', async () => {
+	const m = getSoftModel({
+		keepRowId: true,
+		columns: {id: {type: 'INTEGER'}, t: {textSearch: true}},
+	})
+	await m.setMany([
+		{id: 1, t: 'one'},
+		{id: 2, t: 'two'},
+		{id: 3, t: 'three'},
+	])
+	await m.remove(1)
+	await m.remove(2)
+	await m.db.run(`UPDATE testing SET deletedAt = 1000 WHERE id = 1`)
+	expect(await m.searchAll({t: 'one'}, {withDeleted: true})).toHaveLength(1)
+	await expect(m.purge(new Date(2000))).resolves.toBe(1)
+	expect(await m.searchAll({t: 'one'}, {withDeleted: true})).toEqual([])
+	expect(await m.count(null, {withDeleted: true})).toBe(2)
+	await expect(m.purge()).resolves.toBe(1)
+	expect(await m.searchAll(null, {withDeleted: true})).toEqual([
+		{id: 3, t: 'three'},
+	])
+})
+
+test('softDelete keeps references', async () => {
+	const db = new DB()
+	const users = db.addModel(JsonModel, {name: 'users', softDelete: true})
+	const posts = db.addModel(JsonModel, {
+		name: 'posts',
+		columns: {userId: {references: {model: 'users'}}},
+	})
+	await users.set({id: 'u'})
+	await posts.set({id: 'p', userId: 'u'})
+	await users.remove('u')
+	expect(await posts.get('p')).toEqual({id: 'p', userId: 'u'})
+	await expect(users.purge()).rejects.toThrow('still referenced')
+	expect(await users.count(null, {onlyDeleted: true})).toBe(1)
+})
+
+test('restore and purge require softDelete', () => {
+	const m = getModel()
+	expect(() => m.restore('a')).toThrow('softDelete')
+	expect(() => m.purge()).toThrow('softDelete')
+})
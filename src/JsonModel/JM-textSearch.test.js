@@ -0,0 +1,188 @@
+import sysPath from 'path'
+import tmp from 'tmp-promise'
+import {DB, JsonModel, getModel} from '../lib/_test-helpers'
+
+const getFtsModel = columns =>
+	getModel({
+		keepRowId: true,
+		columns: {
+			title: {type: 'TEXT', textSearch: true},
+			body: {textSearch: true},
+			...columns,
+		},
+	})
+
+const ids = items => items.map(i => i.id)
+
+test('textSearch requires stable rowid', () => {
+	expect(() =>
+		getModel({columns: {t: {textSearch: true}}, keepRowId: false})
+	).toThrow('keepRowId')
+	expect(() =>
+		getModel({
+			columns: {id: {type: 'INTEGER'}, t: {textSearch: true}},
+			keepRowId: false,
+		})
+	).not.toThrow()
+})
+
+test('textSearch tag names', () => {
+	expect(() => getModel({columns: {t: {textSearch: 'no way'}}})).toThrow(
+		'alphanumeric'
+	)
+	expect(() =>
+		getModel({
+			columns: {
+				a: {textSearch: {tag: 'x', tokenize: 'porter'}},
+				b: {textSearch: {tag: 'x', tokenize: 'unicode61'}},
+			},
+		})
+	).toThrow('conflicting')
+})
+
+test('textSearch matches per column', async () => {
+	const m = getFtsModel()
+	await m.set({id: 'a', title: 'hello world', body: 'nothing here'})
+	await m.set({id: 'b', title: 'goodbye', body: 'hello there'})
+	expect(ids(await m.searchAll({title: 'hello'}))).toEqual(['a'])
+	expect(ids(await m.searchAll({body: 'hello'}))).toEqual(['b'])
+	expect(ids(await m.searchAll({title: 'hello', body: 'here'}))).toEqual(['a'])
+	expect(ids(await m.searchAll({title: 'hel*'}))).toEqual(['a'])
+	expect(await m.count({body: 'hello OR nothing'})).toBe(2)
+	expect(await m.exists({title: 'goodbye'})).toBe(true)
+	expect(await m.exists({title: 'nope'})).toBe(false)
+})
+
+test('textSearch ranks by relevance', async () => {
+	const m = getFtsModel()
+	await m.set({id: 'a', body: 'fox and many other words in this long text'})
+	await m.set({id: 'b', body: 'fox fox fox'})
+	await m.set({id: 'c', body: 'the fox'})
+	expect(ids(await m.searchAll({body: 'fox'}))).toEqual(['b', 'c', 'a'])
+	expect(ids(await m.searchAll({body: 'fox'}, {sort: {id: -1}}))).toEqual([
+		'c',
+		'b',
+		'a',
+	])
+	const page1 = await m.search({body: 'fox'}, {limit: 2})
+	expect(ids(page1.items)).toEqual(['b', 'c'])
+	expect(page1.total).toBe(3)
+	const page2 = await m.search({body: 'fox'}, {limit: 2, cursor: page1.cursor})
+	expect(ids(page2.items)).toEqual(['a'])
+	expect(page2.cursor).toBeUndefined()
+})
+
+test('textSearch follows changes', async () => {
+	const m = getFtsModel({id: {type: 'INTEGER'}})
+	await m.set({id: 1, title: 'first'})
+	await m.set({id: 2, title: 'second'})
+	expect(ids(await m.searchAll({title: 'first'}))).toEqual([1])
+	await m.set({id: 1, title: 'third'})
+	expect(ids(await m.searchAll({title: 'first'}))).toEqual([])
+	expect(ids(await m.searchAll({title: 'third'}))).toEqual([1])
+	await m.update({id: 2, title: 'third again'})
+	expect(ids(await m.searchAll({title: 'third'}))).toEqual([1, 2])
+	await m.remove(1)
+	expect(ids(await m.searchAll({title: 'third'}))).toEqual([2])
+	await m.changeId(2, 5)
+	expect(ids(await m.searchAll({title: 'third'}))).toEqual([5])
+	await expect(m.set({title: 'inserted'}, true)).resolves.toHaveProperty(
+		'id',
+		6
+	)
+	expect(ids(await m.searchAll({title: 'inserted'}))).toEqual([6])
+	await expect(m.set({id: 5, title: 'dupe'}, true)).rejects.toThrow('UNIQUE')
+	expect(ids(await m.searchAll({title: 'third'}))).toEqual([5])
+	expect(await m.db.all('SELECT rowid FROM "testing fts main"')).toHaveLength(2)
+})
+
+test('textSearch tags and options', async () => {
+	const m = getModel({
+		keepRowId: true,
+		columns: {
+			en: {textSearch: {tag: 'en', tokenize: 'porter'}},
+			nl: {textSearch: 'nl'},
+		},
+	})
+	await m.set({id: 'a', en: 'running quickly', nl: 'running'})
+	expect(ids(await m.searchAll({en: 'run'}))).toEqual(['a'])
+	expect(ids(await m.searchAll({nl: 'run'}))).toEqual([])
+	expect(ids(await m.searchAll({en: 'run', nl: 'running'}))).toEqual(['a'])
+	const tables = await m.db.all(
+		`SELECT name FROM sqlite_master WHERE name LIKE '% fts %' AND sql LIKE '%VIRTUAL%'`
+	)
+	expect(tables.map(t => t.name).sort()).toEqual([
+		'testing fts en',
+		'testing fts nl',
+	])
+})
+
+test('textSearch indexes existing rows', () =>
+	tmp.withDir(
+		async ({path: dir}) => {
+			const file = sysPath.join(dir, 'db')
+			const m1 = new DB({file}).addModel(JsonModel, {name: 'testing'})
+			await m1.set({id: 'a', t: 'some words'})
+			await m1.set({id: 'b', t: 'other text'})
+			await m1.db.close()
+			const m2 = new DB({file}).addModel(JsonModel, {
+				name: 'testing',
+				columns: {t: {textSearch: true}},
+			})
+			expect(ids(await m2.searchAll({t: 'words'}))).toEqual(['a'])
+			await m2.db.close()
+		},
+		{unsafeCleanup: true, prefix: 'jm-fts'}
+	))
+
+const getFts = db =>
+	db.all(
+		`SELECT name FROM sqlite_master WHERE name LIKE '% fts %' AND sql LIKE 'CREATE VIRTUAL%' ORDER BY name`
+	)
+
+const getCleanups = db =>
+	db.all(
+		`SELECT runKey FROM "{sdb} migrations" WHERE runKey LIKE '2_unused_fts%' ORDER BY runKey`
+	)
+
+test('textSearch drops unused indexes', () =>
+	tmp.withDir(
+		async ({path: dir}) => {
+			const file = sysPath.join(dir, 'db')
+			const open = columns => {
+				const db = new DB({file})
+				const m = db.addModel(JsonModel, {
+					name: 'testing',
+					keepRowId: true,
+					columns,
+				})
+				// Its indexes share the name prefix of the other model
+				db.addModel(JsonModel, {
+					name: 'testing fts x',
+					keepRowId: true,
+					columns: {t: {textSearch: true}},
+				})
+				return m
+			}
+			const m1 = open({en: {textSearch: 'en'}, nl: {textSearch: 'nl'}})
+			await m1.set({id: 'a', en: 'one', nl: 'een'})
+			expect(await getCleanups(m1.db)).toEqual([])
+			await m1.db.close()
+
+			const m2 = open({en: {textSearch: 'en'}})
+			await m2.set({id: 'b', en: 'two', nl: 'twee'})
+			expect(ids(await m2.searchAll({en: 'one OR two'}))).toEqual(['a', 'b'])
+			expect(await getFts(m2.db)).toEqual([
+				{name: 'testing fts en'},
+				{name: 'testing fts x fts main'},
+			])
+			await m2.db.close()
+
+			const m3 = open({})
+			await m3.set({id: 'c'})
+			expect(await getFts(m3.db)).toEqual([{name: 'testing fts x fts main'}])
+			expect(await getCleanups(m3.db)).toHaveLength(2)
+			await m3.db.close()
+		},
+		{unsafeCleanup: true, prefix: 'jm-fts'}
+	))
@@ -0,0 +1,139 @@
+import sysPath from 'path'
+import tmp from 'tmp-promise'
+import {DB, JsonModel, getModel} from '../lib/_test-helpers'
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+test('expiresAt hides objects once they expire', async () => {
+	const m = getModel({expiresAt: true})
+	const soon = Date.now() + 200
+	await m.set({id: 'a', expiresAt: new Date(soon)})
+	await m.set({id: 'b', expiresAt: 1})
+	await m.set({id: 'c'})
+	const row = await m.db.get(`SELECT expiresAt FROM testing WHERE id = 'a'`)
+	expect(row.expiresAt).toBe(soon)
+	expect(await m.get('a')).toEqual({id: 'a', expiresAt: soon})
+	expect(await m.get('b')).toBeFalsy()
+	// the prepared queries compare with the current time
+	const prepared = m.prepareSearch({id: {$in: ['a', 'b', 'c']}})
+	expect(await prepared.count()).toBe(2)
+	await wait(soon - Date.now() + 10)
+	expect(await m.get('a')).toBeFalsy()
+	expect(await m.getAll(['a', 'c'])).toEqual([undefined, {id: 'c'}])
+	expect(await m.exists({id: 'a'})).toBe(false)
+	expect(await m.all()).toEqual([{id: 'c'}])
+	expect(await prepared.count()).toBe(1)
+	expect(await m.count(null, {withExpired: true})).toBe(3)
+	// storing it again without expiry revives it
+	await m.set({id: 'b'})
+	expect(await m.get('b')).toEqual({id: 'b'})
+})
+
+test('expiresAt is fixed on update', async () => {
+	const m = getModel({expiresAt: true})
+	const later = Date.now() + 100000
+	await m.set({id: 'a', expiresAt: later})
+	await m.update({id: 'a', name: 'x'})
+	expect(await m.get('a')).toEqual({id: 'a', name: 'x', expiresAt: later})
+	await m.update({id: 'a', expiresAt: later + 1})
+	expect(await m.get('a')).toHaveProperty('expiresAt', later + 1)
+	await m.update({id: 'a', expiresAt: null})
+	expect(await m.get('a')).toEqual({id: 'a', name: 'x'})
+})
+
+test('ttl slides on every write', async () => {
+	const m = getModel({ttl: 100000})
+	expect(() => getModel({ttl: -1})).toThrow('ttl')
+	const now = Date.now()
+	const spy = jest.spyOn(Date, 'now').mockReturnValue(now)
+	try {
+		// a given expiry is ignored
+		expect(await m.set({id: 'a', expiresAt: 5})).toEqual({
+			id: 'a',
+			expiresAt: now + 100000,
+		})
+		spy.mockReturnValue(now + 1000)
+		await m.update({id: 'a', name: 'x'})
+		expect(await m.get('a')).toEqual({
+			id: 'a',
+			name: 'x',
+			expiresAt: now + 101000,
+		})
+	} finally {
+		spy.mockRestore()
+	}
+})
+
+test('sweepExpired cleans up the text index', async () => {
+	const m = getModel({
+		expiresAt: true,
+		keepRowId: true,
+		columns: {id: {type: 'INTEGER'}, t: {textSearch: true}},
+	})
+	await m.set({id: 1, t: 'hello', expiresAt: 1})
+	await m.set({id: 2, t: 'hello', expiresAt: 1})
+	await m.set({id: 3, t: 'hello', expiresAt: 1})
+	await m.set({id: 4, t: 'hello'})
+	const ftsRows = () => m.db.all(`SELECT rowid FROM "testing fts main"`)
+	expect(await ftsRows()).toHaveLength(4)
+	await expect(m.sweepExpired(2)).resolves.toBe(3)
+	expect(await m.db.all(`SELECT id FROM testing`)).toEqual([{id: 4}])
+	expect(await ftsRows()).toHaveLength(1)
+	expect(await m.searchAll({t: 'hello'}, {withExpired: true})).toEqual([
+		{id: 4, t: 'hello'},
+	])
+	await expect(m.sweepExpired()).resolves.toBe(0)
+	await expect(getModel().sweepExpired()).rejects.toThrow('expiresAt')
+})
+
+test('sweepExpired skips referenced objects', async () => {
+	const db = new DB()
+	const parents = db.addModel(JsonModel, {name: 'parents', expiresAt: true})
+	const kids = db.addModel(JsonModel, {
+		name: 'kids',
+		columns: {parent: {references: {model: 'parents'}}},
+	})
+	await parents.set({id: 'p1', expiresAt: 1})
+	await parents.set({id: 'p2', expiresAt: 1})
+	await kids.set({id: 'k', parent: 'p1'})
+	await expect(parents.sweepExpired()).resolves.toBe(1)
+	expect(await db.all(`SELECT id FROM parents`)).toEqual([{id: 'p1'}])
+	await db.close()
+})
+
+test('the DB sweeps periodically', async () => {
+	const db = new DB({sweepInterval: 0.01})
+	const m = db.addModel(JsonModel, {name: 'testing', ttl: 1})
+	await m.set({id: 'a'})
+	let rows
+	for (let i = 0; i < 50; i++) {
+		// eslint-disable-next-line no-await-in-loop
+		await wait(20)
+		// eslint-disable-next-line no-await-in-loop
+		rows = await db.all(`SELECT id FROM testing`)
+		if (!rows.length) break
+	}
+	expect(rows).toEqual([])
+	await db.close()
+	expect(db._sweepToken).toBeFalsy()
+})
+
+test('a read-only DB does not sweep', () =>
+	tmp.withDir(
+		async ({path: dir}) => {
+			const file = sysPath.join(dir, 'db')
+			const rwDb = new DB({file})
+			const m = rwDb.addModel(JsonModel, {name: 'testing', expiresAt: true})
+			await m.set({id: 'a', expiresAt: 1})
+			await rwDb.close()
+
+			const db = new DB({file, readOnly: true, sweepInterval: 0.01})
+			const ro = db.addModel(JsonModel, {name: 'testing', expiresAt: true})
+			expect(await ro.get('a')).toBeFalsy()
+			await wait(50)
+			expect(db._sweepToken).toBeFalsy()
+			expect(await db.all(`SELECT id FROM testing`)).toEqual([{id: 'a'}])
+			await db.close()
+		},
+		{unsafeCleanup: true, prefix: 'jm-ttl-ro'}
+	))
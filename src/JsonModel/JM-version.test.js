@@ -0,0 +1,81 @@
+import {getModel} from '../lib/_test-helpers'
+import ConflictError from './ConflictError'
+
+const getVersionModel = options =>
+	getModel({versionCol: 'rev', columns: {id: {type: 'INTEGER'}}, ...options})
+
+test('versionCol validation', () => {
+	expect(() => getVersionModel({versionCol: 'id'})).toThrow("can't be id")
+	expect(() => getVersionModel({columns: {rev: {value: () => 1}}})).toThrow(
+		"can't be calculated"
+	)
+	const m = getVersionModel({columns: {rev: {index: true}}})
+	expect(m.columns.rev).toMatchObject({type: 'INTEGER', index: true, get: true})
+})
+
+test('versionCol increments on every write', async () => {
+	const m = getVersionModel()
+	expect(await m.set({id: 1, a: 1})).toEqual({id: 1, a: 1, rev: 1})
+	// the stored version wins over the object value
+	expect(await m.set({id: 1, a: 2, rev: 7})).toEqual({id: 1, a: 2, rev: 2})
+	await m.update({id: 1, b: 3})
+	expect(await m.get(1)).toEqual({id: 1, a: 2, b: 3, rev: 3})
+	await m.patch(1, {b: null})
+	expect(await m.get(1)).toEqual({id: 1, a: 2, rev: 4})
+	expect(await m.set({a: 5})).toEqual({id: 2, a: 5, rev: 1})
+	await m.setMany([{id: 1}, {id: 3}])
+	expect(await m.searchAll({}, {cols: ['id', 'rev']})).toEqual([
+		{id: 1, rev: 5},
+		{id: 2, rev: 1},
+		{id: 3, rev: 1},
+	])
+})
+
+test('versionCol expectedVersion', async () => {
+	const m = getVersionModel()
+	await expect(m.set({id: 1}, {expectedVersion: 1})).rejects.toThrow(
+		ConflictError
+	)
+	expect(await m.get(1)).toBeFalsy()
+	await expect(
+		m.set({id: 1, a: 1}, {expectedVersion: 0})
+	).resolves.toMatchObject({rev: 1})
+	const err = await m.set({id: 1}, {expectedVersion: 0}).catch(e => e)
+	expect(err).toBeInstanceOf(ConflictError)
+	expect(err).toMatchObject({
+		code: 'ECONFLICT',
+		model: 'testing',
+		id: 1,
+		expectedVersion: 0,
+		version: 1,
+	})
+	expect(err.message).toBe(
+		'testing: cannot set 1: expected version 0 but it is 1'
+	)
+	await m.set({id: 1, a: 2}, {expectedVersion: 1, noReturn: true})
+	await expect(m.update({id: 1, a: 3}, {expectedVersion: 1})).rejects.toThrow(
+		'expected version 1 but it is 2'
+	)
+	await expect(m.update({id: 1, a: 3}, {expectedVersion: 2})).resolves.toEqual({
+		id: 1,
+		a: 3,
+		rev: 3,
+	})
+	await expect(
+		m.update({id: 2, a: 1}, {upsert: true, expectedVersion: 0})
+	).resolves.toEqual({id: 2, a: 1, rev: 1})
+	await expect(
+		m.set({id: 3}, {insertOnly: true, expectedVersion: 1})
+	).rejects.toThrow(ConflictError)
+})
+
+test('expectedVersion requires versionCol', async () => {
+	const m = getModel()
+	await expect(m.set({id: 'a'}, {expectedVersion: 0})).rejects.toThrow(
+		'versionCol'
+	)
+	await expect(m.set({id: 'a'}, {insertOnly: true})).resolves.toEqual({
+		id: 'a',
+	})
+	await expect(m.set({id: 'a'}, {insertOnly: true})).rejects.toThrow('UNIQUE')
+})
@@ -1,8 +1,9 @@
 import debug from 'debug'
+import {EventEmitter} from 'events'
 import jsurl from '@yaska-eu/jsurl2'
 import {sql} from '../DB'
 import DataLoader from 'dataloader'
-import {get, set} from 'lodash'
+import {get, isEqual, set, sortBy} from 'lodash'
 import {normalizeColumn} from './normalizeColumn'
 import {assignJsonParents} from './assignJsonParents'
 import {
@@ -12,9 +13,20 @@ import {
 	byPathLength,
 	byPathLengthDesc,
 } from './prepareSqlCol'
+import {prepareFts} from './prepareFts'
+import PreparedSearch from './PreparedSearch'
+import {getPage} from './paging'
 import {verifyOptions, verifyColumn} from './verifyOptions'
 import {makeMigrations} from './makeMigrations'
+import {prepareHistory} from './history'
 import {makeIdValue} from './makeDefaultIdValue'
+import ValidationError from './ValidationError'
+import ConflictError from './ConflictError'
+import {throwForeignKeyError} from './foreignKeys'
+import {includeRelations, prepareRelations} from './includeRelations'
+import {isOperatorObject, logicCond, operatorConds} from './queryOperators'
+import {checkSchema, validate} from '../lib/jsonSchema'
+import {applyPatch} from '../lib/jsonPatch'
 import {settleAll} from '../lib/settleAll'
 import {DEV, deprecated} from '../lib/warning'
 
@@ -23,21 +35,160 @@ const dbg = debug('strato-db/JSON')
 /**
  * JsonModel is a simple document store. It stores its data in SQLite as a table, one row
  * per object (document). Each object must have a unique ID, normally at `obj.id`.
+ * It emits `change` events with a {@link Change} after the changes are committed.
  */
 
 /**
  * @typedef {Record<string>} Row A stored object. It will always have a value for the `id` column
  * @typedef {Row|null} MaybeRow A stored object. It will always have a value for the `id` column
  * @typedef {string|number} ID A table-unique identifier
- * @typedef {Record<string, string|number|boolean>} SearchAttrs simple equality lookup values for searching
+ * @typedef {{insertOnly?: boolean, noReturn?: boolean, expectedVersion?: number}} SetOptions `expectedVersion` is the `versionCol` value the change is based on, 0 for new objects
+ * @typedef {{upsert?: boolean, noReturn?: boolean, expectedVersion?: number}} UpdateOptions
+ * @typedef {{type: 'insert'|'update'|'remove', id: ID, prev?: Row, next?: Row}} Change A committed change to an object, emitted as the `change` event
+ * @typedef {{ok: boolean, id?: ID, value?: Row, error?: Error}} BulkOutcome The result of storing or removing one object with the bulk methods
+ * @typedef {Record<string, string|number|boolean|object>} SearchAttrs lookup values for searching. Besides plain values, a column can have an operator object with `$eq`, `$ne`, `$gt`, `$gte`, `$lt`, `$lte`, `$in`, `$nin`, `$like` and `$exists`, and `$or`/`$and` take arrays of SearchAttrs
  */
 
-class JsonModel {
+// Apply the changes, nullish values remove the key
+const assignShallow = (obj, changes) => {
+	for (const [key, value] of Object.entries(changes)) {
+		if (value == null) delete obj[key]
+		else obj[key] = value
+	}
+	return obj
+}
+
+const BULK_BATCH = 500
+const SWEEP_BATCH = 100
+
+// The current time in ms, evaluated by SQLite so prepared queries stay valid
+const NOW_SQL = `CAST((julianday('now') - 2440587.5) * 86400000 AS INTEGER)`
+
+// The conditions leaving out removed and expired objects
+const makeLiveConds = ({columns, softDelete, expires}) => {
+	const col = columns.expiresAt
+	const expirySql = expires && `(${col.sql} IS NULL OR ${col.sql} > ${NOW_SQL})`
+	const liveSql = [softDelete && `${columns.deletedAt.sql} IS NULL`, expirySql]
+		.filter(Boolean)
+		.map(c => ` AND ${c}`)
+		.join('')
+	return {_expirySql: expirySql || null, _liveSql: liveSql}
+}
+
+// Keyset pagination: the condition for the rows after the cursor values, with
+// its arguments. NULL sorts first, so it is the smallest value going up and the
+// largest going down. The condition looks like
+// a >= v0 && (a != v0 || (b >= v1 && (b != v1 || (c > v2))))
+const makeCursorCond = (cols, vals) => {
+	const l = cols.length - 1
+	const uses = []
+	let q
+	for (let i = l; i >= 0; i--) {
+		const {sql: c, desc, nullable} = cols[i]
+		const dir = desc ? '<' : '>'
+		if (!nullable) {
+			q = i === l ? `${c}${dir}?` : `(${c}${dir}=? AND (${c}!=? OR ${q}))`
+			uses[i] = i === l ? 1 : 2
+		} else if (i === l) {
+			q = desc
+				? `(${c}<? OR (${c} IS NULL AND ? IS NOT NULL))`
+				: `(${c}>? OR (${c} IS NOT NULL AND ? IS NULL))`
+			uses[i] = 2
+		} else {
+			const from = desc ? `(${c}<=? OR ${c} IS NULL)` : `(${c}>=? OR ? IS NULL)`
+			q = `(${from} AND (${c} IS NOT ? OR ${q}))`
+			uses[i] = desc ? 2 : 3
+		}
+	}
+	const args = []
+	vals.forEach((v, i) => {
+		for (let n = 0; n < uses[i]; n++) args.push(v)
+	})
+	return [q, args]
+}
+
+const toMs = v => (v instanceof Date ? v.getTime() : v)
+
+const makeIdColumn = (idCol, idColDef) => ({
+	type: idColDef.type || 'TEXT',
+	alias: idColDef.alias || '_i',
+	value: makeIdValue(idCol, idColDef),
+	...(idColDef.slugValue && {sequential: true}),
+	index: 'ALL',
+	autoIncrement: idColDef.autoIncrement,
+	unique: true,
+	get: true,
+})
+
+// The columns for the versionCol, softDelete, expiresAt and ttl options
+const makeManagedColumns = ({
+	name,
+	columns,
+	idCol = 'id',
+	versionCol,
+	softDelete,
+	expiresAt,
+	ttl,
+}) => {
+	const out = {}
+	if (versionCol) {
+		const def = columns && columns[versionCol]
+		if (def && (typeof def === 'function' || def.value || def.slugValue))
+			throw new TypeError(
+				`${name}: versionCol ${versionCol} can't be calculated`
+			)
+		if (versionCol === idCol || versionCol === 'json')
+			throw new TypeError(`${name}: versionCol can't be ${versionCol}`)
+		// The version is assigned when writing
+		out[versionCol] = {...def, type: 'INTEGER', get: true}
+	}
+	if (softDelete)
+		// The removal time in ms, the index helps finding removed objects
+		out.deletedAt = {index: true, ...columns?.deletedAt, type: 'INTEGER'}
+	if (ttl != null && !(ttl > 0))
+		throw new TypeError(`${name}: ttl must be a positive number of ms`)
+	if (expiresAt || ttl)
+		// The expiry time in ms, the index helps the sweeper
+		out.expiresAt = {
+			index: true,
+			...columns?.expiresAt,
+			type: 'INTEGER',
+			...(ttl
+				? {
+						// Rewriting the rows in a migration keeps the expiry
+						value(o) {
+							return this._quiet && o.expiresAt != null
+								? o.expiresAt
+								: Date.now() + ttl
+						},
+				  }
+				: {stringify: toMs}),
+		}
+	return out
+}
+
+// Writes that don't store the object still change its version
+const bumpVersionSql = versionCol =>
+	versionCol
+		? `, ${sql.quoteId(versionCol)} = ${sql.quoteId(versionCol)} + 1`
+		: ''
+
+const aggregateOps = {
+	count: s => `COUNT(${s || '*'})`,
+	sum: s => `SUM(CAST(${s} AS NUMERIC))`,
+	avg: s => `AVG(CAST(${s} AS NUMERIC))`,
+	min: s => `MIN(${s})`,
+	max: s => `MAX(${s})`,
+}
+
+/** @extends EventEmitter */
+class JsonModel extends EventEmitter {
 	/**
 	 * Creates a new JsonModel instance
 	 * @param	{JMOptions} options - the model declaration
 	 */
 	constructor(options) {
+		super()
 		verifyOptions(options)
 		const {
 			db,
@@ -48,6 +199,16 @@ class JsonModel {
 			ItemClass,
 			idCol = 'id',
 			keepRowId = true,
+			schema,
+			indexes,
+			relations,
+			versionCol,
+			softDelete,
+			beforeSet,
+			afterSet,
+			beforeRemove,
+			afterRemove,
+			keepHistory,
 		} = options
 
 		this.db = db
@@ -56,20 +217,21 @@ class JsonModel {
 		this.idCol = idCol
 		this.idColQ = sql.quoteId(idCol)
 		this.Item = ItemClass
+		this._hooks = {beforeSet, afterSet, beforeRemove, afterRemove}
+		this._history = prepareHistory(name, keepHistory)
+		if (schema != null) checkSchema(schema, name)
+		this.schema = schema
 
 		const idColDef = (columns && columns[idCol]) || {}
 		const jsonColDef = (columns && columns.json) || {}
+		this.versionCol = versionCol
+		this.softDelete = !!softDelete
+		const managedColumns = makeManagedColumns(options)
+		this.expires = Boolean(managedColumns.expiresAt)
 		const allColumns = {
 			...columns,
-			[idCol]: {
-				type: idColDef.type || 'TEXT',
-				alias: idColDef.alias || '_i',
-				value: makeIdValue(idCol, idColDef),
-				index: 'ALL',
-				autoIncrement: idColDef.autoIncrement,
-				unique: true,
-				get: true,
-			},
+			...managedColumns,
+			[idCol]: makeIdColumn(idCol, idColDef),
 			json: {
 				alias: jsonColDef.alias || '_j',
 				// return null if empty, makes parseRow faster
@@ -108,20 +270,37 @@ class JsonModel {
 		assignJsonParents(this.columnArr)
 		for (const col of this.columnArr) prepareSqlCol(col)
 		this.getCols = this.columnArr.filter(c => c.get).sort(byPathLength)
+		// Extra conditions for queries that only return live objects
+		Object.assign(this, makeLiveConds(this))
+		this.relations = prepareRelations(this, relations)
+		this.ftsTags = prepareFts({name, columnArr: this.columnArr, idCol})
+		if (
+			this.ftsTags.length &&
+			!keepRowId &&
+			this.columns[idCol].type !== 'INTEGER'
+		)
+			// The full-text indexes refer to the rowid, which must survive VACUUM
+			throw new TypeError(
+				`${name}: textSearch requires keepRowId or an INTEGER id column`
+			)
 
 		this.db.registerMigrations(
 			name,
 			makeMigrations({
 				name: this.name,
 				columns: this.columns,
+				indexes,
+				ftsTags: this.ftsTags,
 				idCol,
 				keepRowId,
+				keepHistory,
 				migrations,
 				migrationOptions,
 			})
 		)
 
 		this._set = this._makeSetFn()
+		if (this.expires) db.addSweeper(() => this.sweepExpired())
 		// The columns we should normally fetch - json + get columns
 
 		this.selectCols = this.columnArr.filter(c => c.get || c.name === 'json')
@@ -173,8 +352,12 @@ class JsonModel {
 	}
 
 	_makeSetFn() {
-		const {Item} = this
+		const {Item, ftsTags, schema} = this
+		const {beforeSet} = this._hooks
 		const valueCols = this.columnArr.filter(c => c.value).sort(byPathLength)
+		const validateCols = this.columnArr
+			.filter(c => c.validate)
+			.map(col => ({col, valueI: valueCols.indexOf(col)}))
 		const realCols = this.columnArr
 			.filter(c => c.real)
 			.sort(byPathLengthDesc)
@@ -206,25 +389,17 @@ class JsonModel {
 					return obj
 			  }
 			: obj => ({...obj})
+		const idColI = realCols.find(c => c.name === this.idCol).i
+		const versionColI = this.versionCol
+			? realCols.find(c => c.name === this.versionCol).i
+			: -1
 		const colSqls = realCols.map(col => col.quoted)
 		const setSql = `INTO ${this.quoted}(${colSqls.join()}) VALUES(${colSqls
 			.map(() => '?')
 			.join()})`
-		return async (o, insertOnly, noReturn) => {
-			if (this._insertSql?.db !== this.db) {
-				this._insertSql = this.db.prepare(
-					`INSERT ${setSql}`,
-					`ins ${this.name}`
-				)
-				const updateSql = colSqls
-					.map((col, i) => `${col} = ?${i + 1}`)
-					.join(', ')
-				this._updateSql = this.db.prepare(
-					`INSERT ${setSql} ON CONFLICT(${this.idCol}) DO UPDATE SET ${updateSql}`,
-					`set ${this.name}`
-				)
-			}
-			const {_insertSql, _updateSql} = this
+		// Calculate the column values, this doesn't touch the table
+		const prepare = async o => {
+			if (beforeSet && !this._quiet) o = (await beforeSet.call(this, o)) || o
 			const obj = cloneObj(o)
 			const results = await Promise.all(
 				valueCols.map(col =>
@@ -237,6 +412,23 @@ class JsonModel {
 				// realCol values can be different from obj values
 				if (col.path && (!col.real || col.get)) set(obj, col.path, r)
 			})
+			if (validateCols.length || schema != null) {
+				const errors = []
+				for (const {col, valueI} of validateCols) {
+					const v = valueI >= 0 ? results[valueI] : get(obj, col.path)
+					let message = 'is invalid'
+					let valid
+					try {
+						// eslint-disable-next-line no-await-in-loop
+						valid = await col.validate.call(this, v, obj)
+					} catch (error) {
+						message = error.message
+					}
+					if (!valid) errors.push({path: col.path, message})
+				}
+				if (schema != null) validate(schema, obj, '', errors)
+				if (errors.length) throw new ValidationError(this.name, errors)
+			}
 			const colVals = realCols.map(col => {
 				let v
 				if (col.path) {
@@ -248,26 +440,208 @@ class JsonModel {
 				}
 				return col.stringify ? col.stringify(v) : v
 			})
+			return {colVals, id: colVals[idColI]}
+		}
+		const ensureStatements = () => {
+			if (this._insertSql?.db === this.db) return
+			this._insertSql = this.db.prepare(`INSERT ${setSql}`, `ins ${this.name}`)
+			const updateSql = colSqls
+				.map(col => `${col} = excluded.${col}`)
+				.join(', ')
+			this._updateSql = this.db.prepare(
+				`INSERT ${setSql} ON CONFLICT(${this.idCol}) DO UPDATE SET ${updateSql}`,
+				`set ${this.name}`
+			)
+			if (versionColI >= 0)
+				this._versionSql = this.db.prepare(
+					`SELECT ${sql.quoteId(this.versionCol)} AS v FROM ${
+						this.quoted
+					} WHERE ${this.idColQ} = ?`,
+					`version ${this.name}`
+				)
+		}
+		const assignVersion = async (colVals, id, expectedVersion) => {
+			if (versionColI >= 0) {
+				// This runs in a transaction, so the version can't change meanwhile
+				const row = id == null ? null : await this._versionSql.get([id])
+				const version = row?.v || 0
+				if (expectedVersion != null && expectedVersion !== version)
+					throw new ConflictError(this.name, id, expectedVersion, version)
+				colVals[versionColI] = version + 1
+			} else if (expectedVersion != null) {
+				throw new TypeError(
+					`${this.name}: expectedVersion requires the versionCol option`
+				)
+			}
+		}
+		// Add the full-text index entries and the history version
+		const afterRun = async (id, result) => {
+			const rowId = id == null ? result.lastID : id
+			await this._ftsApply('insert', rowId)
+			if (this._history) await this._recordHistory(rowId)
+			return result
+		}
+		// Store prepared column values
+		const write = async (
+			{colVals, id},
+			insertOnly,
+			noReturn,
+			expectedVersion
+		) => {
+			ensureStatements()
+			const {_insertSql, _updateSql} = this
+			await assignVersion(colVals, id, expectedVersion)
+			// This runs in a transaction, see below
+			const tracked = this._tracked()
+			const prev = tracked && id != null ? await this.get(id) : undefined
+			// The previous values are needed to remove the full-text entries
+			if (ftsTags.length && !insertOnly && id != null)
+				await this._ftsApply('delete', id)
 
 			// The json field is part of the colVals
-			const P = insertOnly ? _insertSql.run(colVals) : _updateSql.run(colVals)
-			return noReturn
-				? P
-				: P.then(result => {
-						// Return what get(id) would return
-						const newObj = Item ? new Item() : {}
-						setCols.forEach(col => {
-							const val = colVals[col.i]
-							const v = col.parse ? col.parse(val) : val
-							if (col.path === '') Object.assign(newObj, v)
-							else set(newObj, col.path, v)
-						})
-						if (newObj[this.idCol] == null) {
-							// This can only happen for integer ids, so we use the last inserted rowid
-							newObj[this.idCol] = result.lastID
-						}
-						return newObj
-				  })
+			let P = (insertOnly
+				? _insertSql.run(colVals)
+				: _updateSql.run(colVals)
+			).catch(throwForeignKeyError(this.name, 'set', id))
+			if (ftsTags.length || this._history)
+				P = P.then(result => afterRun(id, result))
+			if (noReturn && !tracked) return P
+			const result = await P
+			// Return what get(id) would return
+			const newObj = Item ? new Item() : {}
+			setCols.forEach(col => {
+				const val = colVals[col.i]
+				const v = col.parse ? col.parse(val) : val
+				if (col.path === '') Object.assign(newObj, v)
+				else set(newObj, col.path, v)
+			})
+			if (newObj[this.idCol] == null) {
+				// This can only happen for integer ids, so we use the last inserted rowid
+				newObj[this.idCol] = result.lastID
+			}
+			if (tracked) await this._afterSet(newObj, prev)
+			return noReturn ? result : newObj
+		}
+		const setFn = async (o, insertOnly, noReturn, expectedVersion) => {
+			// Queue the statements right away, like the other mutators
+			ensureStatements()
+			return write(await prepare(o), insertOnly, noReturn, expectedVersion)
+		}
+		// Keep the full-text indexes, versions, history and changes consistent with the table
+		const needsTransaction = () =>
+			ftsTags.length || versionColI >= 0 || this._history || this._tracked()
+		const fn = (...args) =>
+			needsTransaction() && !this.db.inTransaction
+				? this.db.withTransaction(() => setFn(...args))
+				: setFn(...args)
+		// The bulk methods calculate values in batches and then write them
+		fn.prepare = prepare
+		fn.write = write
+		// Slugs depend on the stored objects, so those are calculated one by one
+		fn.sequential = valueCols.some(c => c.sequential)
+		return fn
+	}
+
+	// Writes need the previous object when there are hooks or change listeners.
+	// Migrations don't run the hooks.
+	_tracked() {
+		const {afterSet, beforeRemove, afterRemove} = this._hooks
+		return (
+			!this._quiet &&
+			Boolean(
+				afterSet || beforeRemove || afterRemove || this.listenerCount('change')
+			)
+		)
+	}
+
+	async _afterSet(next, prev) {
+		const {afterSet} = this._hooks
+		if (afterSet) await afterSet.call(this, next, prev)
+		const type = prev ? 'update' : 'insert'
+		this._queueChange({type, id: next[this.idCol], prev, next})
+	}
+
+	// Run the remove hooks around the removal and queue the change
+	async _hookRemove(id, prev, removeFn) {
+		const {beforeRemove, afterRemove} = this._hooks
+		if (beforeRemove) await beforeRemove.call(this, id, prev)
+		const result = await removeFn()
+		if (afterRemove) await afterRemove.call(this, id, prev)
+		this._queueChange({type: 'remove', id, prev})
+		return result
+	}
+
+	// Emit the change after the transaction commits, or drop it on rollback
+	_queueChange(change) {
+		if (!this.db.inTransaction) {
+			this._emitChanges([change])
+			return
+		}
+		if (!this._pendingChanges) {
+			const {db} = this
+			this._pendingChanges = []
+			const onRollback = () => {
+				this._pendingChanges = null
+			}
+			db.once('rollback', onRollback)
+			db.once('finally', () => {
+				db.off('rollback', onRollback)
+				const changes = this._pendingChanges
+				this._pendingChanges = null
+				if (changes) this._emitChanges(changes)
+			})
+		}
+		this._pendingChanges.push(change)
+	}
+
+	// The changes are already committed, so listener errors can't undo them.
+	// Each listener is called separately, so a failing one doesn't stop the others.
+	// The raw listeners remove themselves when added with `once`.
+	_emitChanges(changes) {
+		for (const change of changes) {
+			for (const listener of this.rawListeners('change')) {
+				try {
+					listener.call(this, change)
+				} catch (error) {
+					// eslint-disable-next-line no-console
+					console.error(`${this.name}: change listener failed`, error)
+				}
+			}
+		}
+	}
+
+	// End the current version of the object in the history and add the stored one
+	async _recordHistory(id, removed) {
+		if (this._historyAddSql?.db !== this.db) {
+			const {quoted} = this._history
+			const cols = this.columnArr
+				.filter(c => c.real)
+				.map(c => c.quoted)
+				.join(', ')
+			this._historyEndSql = this.db.prepare(
+				`UPDATE ${quoted} SET "_validTo" = ? WHERE ${this.idColQ} = ? AND "_validTo" IS NULL`,
+				`history end ${this.name}`
+			)
+			this._historyAddSql = this.db.prepare(
+				`INSERT INTO ${quoted}(${cols}, "_validFrom", "_actor") SELECT ${cols}, ?, ? FROM ${this.quoted} WHERE ${this.idColQ} = ?`,
+				`history add ${this.name}`
+			)
+		}
+		const now = Date.now()
+		await this._historyEndSql.run([now, id])
+		if (removed) return
+		const {actor} = this._history
+		const actorVal = actor ? await actor.call(this) : null
+		await this._historyAddSql.run([now, actorVal, id])
+	}
+
+	// Add or remove the full-text index entries for the object with the given id
+	async _ftsApply(which, id) {
+		const key = `_${which}Stmt`
+		for (const t of this.ftsTags) {
+			if (t[key]?.db !== this.db)
+				t[key] = this.db.prepare(t[`${which}Sql`], `fts ${which} ${t.name}`)
+			await t[key].run([id]) // eslint-disable-line no-await-in-loop
 		}
 	}
 
@@ -286,6 +660,57 @@ class JsonModel {
 		return this.parseRow(thing, options)
 	}
 
+	/**
+	 * Converts search attributes into conditions
+	 * @param {SearchAttrs} attrs - simple value attributes
+	 * @returns {Array<{attr: string, sql: string, vals: Array<*>}>} - the conditions
+	 */
+	_attrConds(attrs) {
+		const out = []
+		for (const a of Object.keys(attrs)) {
+			let val = attrs[a]
+			if (val == null) continue
+			if (a === '$or' || a === '$and') {
+				if (!Array.isArray(val)) throw new TypeError(`${a} needs an array`)
+				const cond = logicCond(
+					a,
+					val.map(sub => this._attrConds(sub))
+				)
+				if (cond) out.push({attr: a, ...cond})
+				continue
+			}
+			const col = this.columns[a]
+			if (!col) {
+				throw new Error(`Unknown column ${a}`)
+			}
+			if (isOperatorObject(val)) {
+				for (const c of operatorConds(col, val)) out.push({attr: a, ...c})
+				if (val.$eq == null) continue
+				val = val.$eq
+			}
+			const origVal = val
+			const {where, whereVal} = col
+			let vals
+			if (whereVal) {
+				val = whereVal(val)
+				if (Array.isArray(val)) {
+					vals = val
+				} else {
+					if (val)
+						throw new Error(`whereVal for ${a} should return array or falsy`)
+					continue
+				}
+			} else {
+				vals = [val]
+			}
+			// Note that we don't attempt to use aliases, because of sharing the whereQ with
+			// the total calculation, and the query optimizer recognizes the common expressions
+			const sql = typeof where === 'function' ? where(val, origVal) : where
+			out.push({attr: a, sql, vals})
+		}
+		return out
+	}
+
 	/**
 	 * @typedef SearchOptions
 	 * @type {Object}
@@ -298,8 +723,14 @@ class JsonModel {
 	 * @property {number} [offset]: number of rows to skip
 	 * @property {array<string>} [cols]: override the columns to select
 	 * @property {string} [cursor]: opaque value telling from where to continue
+	 * @property {string} [before]: a `prevCursor`, to get the page before it
 	 * @property {boolean} [noCursor]: do not calculate cursor
 	 * @property {boolean} [noTotal]: do not calculate totals
+	 * @property {array<string>} [include]: relation names to load and assign to the results, only for `search`, `searchAll` and `searchOne`
+	 * @property {boolean} [withDeleted]: `softDelete` only, also return removed objects
+	 * @property {boolean} [onlyDeleted]: `softDelete` only, only return removed objects
+	 * @property {boolean} [withExpired]: `expiresAt` or `ttl` only, also return expired objects
+	 * @property {number|Date} [asOf]: `keepHistory` only, search the objects as they were at this time, in ms since the epoch. It can't be combined with `textSearch` columns
 	 */
 
 	/**
@@ -312,7 +743,9 @@ class JsonModel {
 			const extras = Object.keys(options).filter(
 				k =>
 					![
+						'asOf',
 						'attrs',
+						'before',
 						'cols',
 						'cursor',
 						'join',
@@ -321,8 +754,11 @@ class JsonModel {
 						'noCursor',
 						'noTotal',
 						'offset',
+						'onlyDeleted',
 						'sort',
 						'where',
+						'withDeleted',
+						'withExpired',
 					].includes(k)
 			)
 			if (extras.length) {
@@ -332,6 +768,7 @@ class JsonModel {
 		let {
 			cols,
 			attrs,
+			before,
 			join,
 			joinVals,
 			where,
@@ -341,21 +778,101 @@ class JsonModel {
 			cursor,
 			noCursor,
 			noTotal,
+			withDeleted,
+			onlyDeleted,
+			withExpired,
+			asOf,
 		} = options
 		cols = cols || this.selectColNames
+		const vals = []
+		const conds = []
+		if (where) {
+			for (const w of Object.keys(where)) {
+				const val = where[w]
+				if (val) {
+					if (!Array.isArray(val)) {
+						throw new TypeError(
+							`Error: Got where without array of args for makeSelect: ${w}, val: ${val}`
+						)
+					}
+					conds.push(w)
+					vals.push(...where[w])
+				}
+			}
+		}
+		if (attrs) {
+			for (const c of this._attrConds(attrs)) {
+				conds.push(c.sql)
+				vals.push(...c.vals)
+			}
+		}
+		if (this.softDelete) {
+			const deletedSql = this.columns.deletedAt.sql
+			if (onlyDeleted) conds.push(`${deletedSql} IS NOT NULL`)
+			else if (!withDeleted) conds.push(`${deletedSql} IS NULL`)
+		}
+		let table = this.quoted
+		if (asOf != null) {
+			if (!this._history)
+				throw new Error(`${this.name}: asOf requires keepHistory`)
+			const time = Number(asOf)
+			table = this._history.quoted
+			conds.push(
+				`tbl."_validFrom" <= ? AND (tbl."_validTo" IS NULL OR tbl."_validTo" > ?)`
+			)
+			vals.push(time, time)
+			if (this._expirySql) {
+				const expSql = this.columns.expiresAt.sql
+				conds.push(`${expSql} IS NULL OR ${expSql} > ?`)
+				vals.push(time)
+			}
+		} else if (this._expirySql && !withExpired) conds.push(this._expirySql)
+
+		// Join the full-text indexes that are used in the conditions
+		const ftsTags = this.ftsTags.filter(t =>
+			conds.some(c => c.includes(`${t.alias}.`))
+		)
+		if (asOf != null && ftsTags.length)
+			throw new Error(`${this.name}: asOf can't be combined with textSearch`)
+		const rankCols = {}
+		for (const t of ftsTags) rankCols[t.rank.name] = t.rank
+		// Without explicit sort, full-text matches are ordered by relevance
+		if (!sort && ftsTags.length) {
+			sort = {}
+			ftsTags.forEach((t, i) => {
+				sort[t.rank.name] = i + 1
+			})
+		}
+		const getCol = name => this.columns[name] || rankCols[name]
+
 		let cursorColNames, cursorQ, cursorArgs
 		const makeCursor = limit && !noCursor
 
+		if (before) {
+			if (cursor) throw new Error(`${this.name}: use either cursor or before`)
+			cursor = before
+		}
 		if (makeCursor || cursor) {
 			// We need a tiebreaker sort for cursors
 			sort = sort && sort[this.idCol] ? sort : {...sort, [this.idCol]: 100000}
 		}
+		if (before) {
+			// Walk backwards from the cursor, the caller reverses the rows
+			const inverted = {}
+			for (const [k, v] of Object.entries(sort)) inverted[k] = -v
+			sort = inverted
+		}
 		const sortNames =
 			sort &&
 			Object.keys(sort)
 				.filter(k => sort[k])
 				.sort((a, b) => Math.abs(sort[a]) - Math.abs(sort[b]))
 		if (makeCursor || cursor) {
+			for (const colName of sortNames)
+				if (getCol(colName)?.sortable === false)
+					throw new Error(
+						`${this.name}: cannot page on column ${colName} because it is not sortable, use noCursor`
+					)
 			let copiedCols = false
 			// We need the sort columns in the output to get the cursor value
 			sortNames.forEach(colName => {
@@ -367,90 +884,40 @@ class JsonModel {
 					cols.push(colName)
 				}
 			})
-			cursorColNames = sortNames.map(c =>
-				this.columns[c] ? this.columns[c].alias : c
-			)
+			cursorColNames = sortNames.map(c => (getCol(c) ? getCol(c).alias : c))
 		}
 
 		if (cursor) {
-			// Create the sort condition for keyset pagination
-			// a >= v0 && (a != v0 || (b >= v1 && (b != v1 || (c > v3))))
 			const vals = jsurl.parse(cursor)
-			const getDir = i => (sort[sortNames[i]] < 0 ? '<' : '>')
-			const l = vals.length - 1
-			cursorQ = `${cursorColNames[l]}${getDir(l)}?`
-			cursorArgs = [vals[l]]
-			for (let i = l - 1; i >= 0; i--) {
-				cursorQ =
-					`(${cursorColNames[i]}${getDir(i)}=?` +
-					` AND (${cursorColNames[i]}!=? OR ${cursorQ}))`
-				const val = vals[i]
-				cursorArgs.unshift(val, val)
-			}
+			;[cursorQ, cursorArgs] = makeCursorCond(
+				vals.map((_, i) => {
+					const name = sortNames[i]
+					return {
+						sql: cursorColNames[i],
+						desc: sort[name] < 0,
+						// Only the id and the full-text ranks are never NULL
+						nullable: name !== this.idCol && !rankCols[name],
+					}
+				}),
+				vals
+			)
 		}
 
 		const colsSql =
 			cols === this.selectColNames
 				? this.selectColsSql
-				: cols
-						.map(c => (this.columns[c] ? this.columns[c].select : c))
-						.join(',')
-		const selectQ = `SELECT ${colsSql} FROM ${this.quoted} tbl`
-
-		const vals = []
-		const conds = []
-		if (where) {
-			for (const w of Object.keys(where)) {
-				const val = where[w]
-				if (val) {
-					if (!Array.isArray(val)) {
-						throw new TypeError(
-							`Error: Got where without array of args for makeSelect: ${w}, val: ${val}`
-						)
-					}
-					conds.push(w)
-					vals.push(...where[w])
-				}
-			}
-		}
-		if (attrs) {
-			for (const a of Object.keys(attrs)) {
-				let val = attrs[a]
-				if (val == null) continue
-				const col = this.columns[a]
-				if (!col) {
-					throw new Error(`Unknown column ${a}`)
-				}
-				const origVal = val
-				const {where, whereVal} = col
-				let valid = true
-				if (whereVal) {
-					val = whereVal(val)
-					if (Array.isArray(val)) {
-						vals.push(...val)
-					} else {
-						// eslint-disable-next-line max-depth
-						if (val)
-							throw new Error(`whereVal for ${a} should return array or falsy`)
-						valid = false
-					}
-				} else {
-					vals.push(val)
-				}
-				if (valid) {
-					// Note that we don't attempt to use aliases, because of sharing the whereQ with
-					// the total calculation, and the query optimizer recognizes the common expressions
-					conds.push(typeof where === 'function' ? where(val, origVal) : where)
-				}
-			}
-		}
+				: cols.map(c => (getCol(c) ? getCol(c).select : c)).join(',')
+		const ftsJoins = ftsTags.map(
+			t => ` JOIN ${t.quoted} ${t.alias} ON ${t.alias}.rowid=tbl.rowid`
+		)
+		const selectQ = `SELECT ${colsSql} FROM ${table} tbl${ftsJoins.join('')}`
 
 		const orderQ =
 			sortNames &&
 			sortNames.length &&
 			`ORDER BY ${sortNames
 				.map(k => {
-					const col = this.columns[k]
+					const col = getCol(k)
 					// If we selected we can use the alias
 					const sql = col ? (cols.includes(col.name) ? col.alias : col.sql) : k
 					return `${sql}${sort[k] < 0 ? ` DESC` : ``}`
@@ -493,50 +960,56 @@ class JsonModel {
 	 * @param {SearchOptions} [options] - search options
 	 * @returns {Promise<MaybeRow>} - the result or null if no match
 	 */
-	searchOne(attrs, options) {
+	async searchOne(attrs, {include, ...options} = {}) {
 		const [q, vals] = this.makeSelect({
 			attrs,
 			...options,
 			limit: 1,
 			noCursor: true,
 		})
-		return this.db.get(q, vals).then(this.toObj)
+		const item = this.toObj(await this.db.get(q, vals))
+		if (include) await includeRelations(this, [item], include)
+		return item
 	}
 
 	/**
-	 * Search the all matching objects
+	 * Search the all matching objects. With a `limit`, one extra row is fetched
+	 * to know if there are more results, so no `COUNT(*)` is needed for paging.
 	 * @param {SearchAttrs} [attrs] - simple value attributes
 	 * @param {SearchOptions} [options] - search options
 	 * @param {boolean} [options.itemsOnly] - return only the items array
-	 * @returns {Promise<{items: Row[], cursor: string}|Row[]>} - `{items[], cursor}`. If no cursor, you got all the results. If `itemsOnly`, returns only the items array.
+	 * @returns {Promise<{items: Row[], cursor?: string, prevCursor?: string, hasMore: boolean, hasPrev: boolean, total?: number}|Row[]>} - `cursor` gets the next page and `prevCursor`, passed as `before`, the previous one. If `hasMore` is false, there is no next page. If `itemsOnly`, returns only the items array.
 	 */
-	// Note: To be able to query the previous page with a cursor, we need to invert the sort and then reverse the result rows
-	async search(attrs, {itemsOnly, ...options} = {}) {
+	async search(attrs, {itemsOnly, include, ...options} = {}) {
+		const {limit, before} = options
+		const paging = !itemsOnly && !options.noCursor && !!limit
 		const [q, vals, cursorKeys, totalQ, totalVals] = this.makeSelect({
 			attrs,
 			noCursor: itemsOnly,
 			...options,
+			limit: paging ? Number(limit) + 1 : limit,
 		})
-		const [rows, totalO] = await Promise.all([
+		const [allRows, totalO] = await Promise.all([
 			this.db.all(q, vals),
 			totalQ && this.db.get(totalQ, totalVals),
 		])
+		const {rows, cursor, prevCursor} = getPage(allRows, {
+			paging,
+			limit,
+			cursor: options.cursor,
+			before,
+			cursorKeys,
+		})
 		const items = this.toObj(rows, options)
+		if (include) await includeRelations(this, items, include)
 		if (itemsOnly) return items
-		let cursor
-		if (
-			options &&
-			!options.noCursor &&
-			options.limit &&
-			rows.length === options.limit
-		) {
-			const last = rows[rows.length - 1]
-			cursor = jsurl.stringify(
-				cursorKeys.map(k => last[k]),
-				{short: true}
-			)
+		const out = {
+			items,
+			cursor,
+			prevCursor,
+			hasMore: !!cursor,
+			hasPrev: !!prevCursor,
 		}
-		const out = {items, cursor}
 		if (totalO) out.total = totalO.t
 		return out
 	}
@@ -551,6 +1024,19 @@ class JsonModel {
 		return this.search(attrs, {...options, itemsOnly: true})
 	}
 
+	/**
+	 * Prepare a search that can be run repeatedly, reusing its prepared statements.
+	 * The attributes, `where` keys and other options are fixed, only their values,
+	 * `joinVals` and `cursor` can be changed on each call.
+	 * `IN (?,?,?)` clauses in `where` are converted so they accept any array length.
+	 * @param {SearchAttrs} [attrs] - simple value attributes, the values are defaults
+	 * @param {SearchOptions} [options] - search options
+	 * @returns {PreparedSearch} - object with `search`, `searchAll` and `count` methods
+	 */
+	prepareSearch(attrs, options) {
+		return new PreparedSearch(this, attrs, options)
+	}
+
 	/**
 	 * Check for existence of objects. Returns `true` if the search would yield results
 	 * @param {ID|SearchAttrs} idOrAttrs the id or simple value attributes
@@ -562,7 +1048,7 @@ class JsonModel {
 			if (this._existsSql?.db !== this.db) {
 				const where = this.columns[this.idCol].sql
 				this._existsSql = this.db.prepare(
-					`SELECT 1 FROM ${this.quoted} tbl WHERE ${where} = ?`,
+					`SELECT 1 FROM ${this.quoted} tbl WHERE ${where} = ?${this._liveSql}`,
 					`existsId ${this.name}`
 				)
 			}
@@ -672,13 +1158,139 @@ class JsonModel {
 	}
 
 	/**
-	 * Get all objects
+	 * An aggregate for {@link aggregate}: `'count'` or `[op, colName]`, where
+	 * op is one of count, sum, avg, min, max. Column names are converted to their SQL.
+	 * @typedef {string | [string, string]} AggregateDef
+	 */
+
+	/**
+	 * Grouped aggregates over a search. The `having` and `sort` keys can use the
+	 * group and aggregate names.
+	 * @param {object} options - the aggregation
+	 * @param {string[]} [options.groupBy] - column names or SQL expressions to group by
+	 * @param {Record<string, AggregateDef>} options.aggregates - the aggregates by result name
+	 * @param {SearchAttrs} [options.attrs] - simple value attributes
+	 * @param {object<array<*>>} [options.where] - like the search option
+	 * @param {object<array<*>>} [options.having] - like `where`, applied to the groups
+	 * @param {Record<string,number>} [options.sort] - like the search option
+	 * @param {number} [options.limit] - max number of groups to return
+	 * @returns {Promise<object[]>} - one object per group, with the group values and aggregates
+	 */
+	async aggregate({groupBy = [], aggregates, having, sort, limit, ...options}) {
+		const colSql = name => {
+			const col = this.columns[name]
+			return (col && col.sql) || name
+		}
+		const groupCols = groupBy.map(
+			name => `${colSql(name)} AS ${sql.quoteId(name)}`
+		)
+		const aggCols = Object.entries(aggregates).map(([name, def]) => {
+			const [op, colName] = Array.isArray(def) ? def : [def]
+			const fn = aggregateOps[op]
+			if (!fn) throw new Error(`${this.name}: unknown aggregate ${op}`)
+			return `${fn(colName && colSql(colName))} AS ${sql.quoteId(name)}`
+		})
+		const [q, vals] = this.makeSelect({
+			...options,
+			sort: undefined,
+			limit: undefined,
+			offset: undefined,
+			noCursor: true,
+			cols: [...groupCols, ...aggCols],
+		})
+		const parts = [q]
+		if (groupBy.length)
+			parts.push(`GROUP BY ${groupBy.map(n => sql.quoteId(n)).join(',')}`)
+		if (having) {
+			parts.push(
+				`HAVING ${Object.keys(having)
+					.map(h => `(${h})`)
+					.join('AND')}`
+			)
+			for (const h of Object.keys(having)) vals.push(...having[h])
+		}
+		const sortNames = sort && Object.keys(sort).filter(k => sort[k])
+		if (sortNames?.length)
+			parts.push(
+				`ORDER BY ${sortBy(sortNames, k => Math.abs(sort[k]))
+					.map(k => {
+						const s =
+							k in aggregates || groupBy.includes(k) ? sql.quoteId(k) : k
+						return `${s}${sort[k] < 0 ? ' DESC' : ''}`
+					})
+					.join(',')}`
+			)
+		if (limit) parts.push(`LIMIT ${Number(limit)}`)
+		const rows = await this.db.all(parts.join(' '), vals)
+		// Group values of real columns are parsed like in search results
+		for (const name of groupBy) {
+			const col = this.columns[name]
+			if (col && col.real && col.parse)
+				for (const row of rows) row[name] = col.parse(row[name])
+		}
+		return rows
+	}
+
+	/**
+	 * Count the values of columns over a search, for filtering UIs.
+	 * `isArray` columns count each array item. NULL values are not counted.
+	 * @param {SearchAttrs} [attrs] - simple value attributes
+	 * @param {string[]} colNames - the columns to count
+	 * @param {SearchOptions} [options] - search options
+	 * @returns {Promise<Record<string, Array<{value: *, count: number}>>>} - the counts per column, most frequent first
+	 */
+	async facets(attrs, colNames, options) {
+		const out = {}
+		await Promise.all(
+			colNames.map(async name => {
+				const col = this.columns[name]
+				if (!col) throw new Error(`${this.name}: unknown column ${name}`)
+				let valueSql = col.sql
+				let join
+				if (col.isArray) {
+					join = `, json_each(${
+						col.real
+							? `tbl.${col.quoted}`
+							: `tbl.${sql.quoteId(col.jsonCol)},'$.${col.jsonPath}'`
+					}) _facet`
+					valueSql = '_facet.value'
+				}
+				const [q, vals] = this.makeSelect({
+					attrs,
+					...options,
+					join: [options?.join, join].filter(Boolean).join(' ') || undefined,
+					where: {...options?.where, [`${valueSql} IS NOT NULL`]: []},
+					sort: undefined,
+					limit: undefined,
+					offset: undefined,
+					noCursor: true,
+					cols: [
+						`${valueSql} AS value`,
+						`COUNT(${col.isArray ? 'DISTINCT tbl.rowid' : '*'}) AS count`,
+					],
+				})
+				const rows = await this.db.all(
+					`${q} GROUP BY 1 ORDER BY 2 DESC, 1`,
+					vals
+				)
+				if (col.real && col.parse && !col.isArray)
+					for (const row of rows) row.value = col.parse(row.value)
+				out[name] = rows
+			})
+		)
+		return out
+	}
+
+	/**
+	 * Get all objects, leaving out removed and expired ones
 	 * @returns {Promise<Row[]>} - the table contents
 	 */
 	all() {
 		if (this._allSql?.db !== this.db)
 			this._allSql = this.db.prepare(
-				`SELECT ${this.selectColsSql} FROM ${this.quoted} tbl`,
+				`SELECT ${this.selectColsSql} FROM ${this.quoted} tbl${
+					this._liveSql && ` WHERE 1${this._liveSql}`
+				}`,
 				`all ${this.name}`
 			)
 		return this._allSql.all().then(this.toObj)
@@ -699,7 +1311,7 @@ class JsonModel {
 		if (this.columns[colName]._getSql?.db !== this.db) {
 			const where = this.columns[colName].sql
 			this.columns[colName]._getSql = this.db.prepare(
-				`SELECT ${this.selectColsSql} FROM ${this.quoted} tbl WHERE ${where} = ?`,
+				`SELECT ${this.selectColsSql} FROM ${this.quoted} tbl WHERE ${where} = ?${this._liveSql}`,
 				`get ${this.name}.${colName}`
 			)
 		}
@@ -721,7 +1333,7 @@ class JsonModel {
 					`JsonModel: Cannot getAll on get:false column ${colName}`
 				)
 			_getAllSql = this.db.prepare(
-				`SELECT ${this.selectColsSql} FROM ${this.quoted} tbl WHERE ${where} IN (SELECT value FROM json_each(?))`,
+				`SELECT ${this.selectColsSql} FROM ${this.quoted} tbl WHERE ${where} IN (SELECT value FROM json_each(?))${this._liveSql}`,
 				`get ${this.name}.${colName}`
 			)
 			this.columns[colName]._getAllSql = _getAllSql
@@ -829,38 +1441,73 @@ class JsonModel {
 		} while (cursor)
 	}
 
+	/**
+	 * Iterate through search results with `for await`. Unlike {@link each}, this
+	 * streams the rows from a single query, so it is suited for large results.
+	 * Breaking out of the loop stops the query.
+	 * @param {SearchAttrs} [attrs] - simple value attributes
+	 * @param {SearchOptions} [options] - search options
+	 * @param {number} [options.batchSize] - the amount of rows to fetch at once
+	 * @returns {AsyncGenerator<Row>} - the search results
+	 */
+	async *iterate(attrs, {batchSize, ...options} = {}) {
+		const [q, vals] = this.makeSelect({
+			attrs,
+			...options,
+			noCursor: true,
+			noTotal: true,
+		})
+		for await (const row of this.db.iterate(q, vals, {batchSize}))
+			yield this.toObj(row, options)
+	}
+
 	// --- Mutator methods below ---
 
 	// Contract: All subclasses use set() to store values
-	set(...args) {
+	/**
+	 * Insert or replace an object
+	 * @param  {object} obj The object to store
+	 * @param  {boolean|SetOptions} [insertOnly] Don't allow replacing existing objects, or the options
+	 * @param  {boolean} [noReturn] Do not return the stored object
+	 * @returns {Promise<Row|undefined>} A copy of the stored object
+	 */
+	set(obj, insertOnly, noReturn) {
 		// we cannot store `set` directly on the instance because it would override subclass `set` functions
-		return this._set(...args)
+		if (insertOnly && typeof insertOnly === 'object') {
+			const {expectedVersion} = insertOnly
+			return this._set(
+				obj,
+				insertOnly.insertOnly,
+				insertOnly.noReturn,
+				expectedVersion
+			)
+		}
+		return this._set(obj, insertOnly, noReturn)
 	}
 
 	// Change only the given fields, shallowly
 	// upsert: also allow inserting
 	async updateNoTrans(obj, upsert, noReturn) {
+		let expectedVersion
+		if (upsert && typeof upsert === 'object')
+			({upsert, noReturn, expectedVersion} = upsert)
 		if (!obj) throw new Error('update() called without object')
 		const id = obj[this.idCol]
 		if (id == null) {
 			if (!upsert) throw new Error('Can only update object with id')
-			return this.set(obj, false, noReturn)
+			return this.set(obj, {noReturn, expectedVersion})
 		}
 		let prev = await this.get(id)
 		if (!upsert && !prev) throw new Error(`No object with id ${id} exists yet`)
-		if (prev)
-			for (const [key, value] of Object.entries(obj)) {
-				if (value == null) delete prev[key]
-				else prev[key] = value
-			}
+		if (prev) assignShallow(prev, obj)
 		else prev = obj
-		return this.set(prev, false, noReturn)
+		return this.set(prev, {noReturn, expectedVersion})
 	}
 
 	/**
 	 * Update or upsert an object
 	 * @param  {object} obj The changes to store, including the id field
-	 * @param  {boolean} [upsert] Insert the object if it doesn't exist
+	 * @param  {boolean|UpdateOptions} [upsert] Insert the object if it doesn't exist, or the options
 	 * @param  {boolean} [noReturn] Do not return the stored object
 	 * @returns {Promise<Row|undefined>} A copy of the stored object
 	 */
@@ -872,19 +1519,244 @@ class JsonModel {
 		)
 	}
 
+	// Apply a patch to an existing object
+	async patchNoTrans(id, patch, noReturn) {
+		if (id == null) throw new TypeError('patch() called without id')
+		if (!patch || typeof patch !== 'object')
+			throw new TypeError(
+				'patch() needs a JSON Patch array or merge patch object'
+			)
+		const prev = await this.get(id)
+		if (!prev) throw new Error(`No object with id ${id} exists yet`)
+		const obj = applyPatch(prev, patch)
+		if (!obj || typeof obj !== 'object' || Array.isArray(obj))
+			throw new TypeError(`${this.name}.patch ${id}: result is not an object`)
+		if (!isEqual(obj[this.idCol], prev[this.idCol]))
+			throw new Error(`${this.name}.patch ${id}: use changeId to change the id`)
+		return this.set(obj, false, noReturn)
+	}
+
+	/**
+	 * Change an object with an RFC 6902 JSON Patch (an array of operations) or an
+	 * RFC 7396 JSON Merge Patch (an object to merge deeply, `null` removes keys).
+	 * If any operation fails, nothing is changed.
+	 * @param  {ID} id The id of the existing object
+	 * @param  {Array<object>|object} patch The JSON Patch or merge patch
+	 * @param  {boolean} [noReturn] Do not return the stored object
+	 * @returns {Promise<Row|undefined>} A copy of the stored object
+	 */
+	patch(id, patch, noReturn) {
+		// The patch needs to read the object, so it needs a transaction
+		if (this.db.inTransaction) return this.patchNoTrans(id, patch, noReturn)
+		return this.db.withTransaction(() => this.patchNoTrans(id, patch, noReturn))
+	}
+
 	/**
 	 * Remove an object. If the object doesn't exist, this doesn't do anything.
+	 * With `softDelete`, this only sets `deletedAt`.
 	 * @param  {ID|object} idOrObj The id or the object itself
 	 * @returns {Promise<void>} A promise for the deletion
 	 */
 	remove(idOrObj) {
 		const id = typeof idOrObj === 'object' ? idOrObj[this.idCol] : idOrObj
+		if (!this._tracked()) return this._removeRow(id)
+		const removeFn = async () => {
+			const prev = await this.get(id)
+			if (!prev) return this._removeRow(id)
+			return this._hookRemove(id, prev, () => this._removeRow(id))
+		}
+		return this.db.inTransaction
+			? removeFn()
+			: this.db.withTransaction(removeFn)
+	}
+
+	_removeRow(id) {
+		if (!this.softDelete) return this._deleteRow(id)
+		if (this._softDeleteSql?.db !== this.db) {
+			this._softDeleteSql = this.db.prepare(
+				`UPDATE ${this.quoted} SET "deletedAt" = ?${bumpVersionSql(
+					this.versionCol
+				)} WHERE ${this.idColQ} = ? AND "deletedAt" IS NULL`,
+				`softDel ${this.name}`
+			)
+		}
+		if (!this._history) return this._softDeleteSql.run([Date.now(), id])
+		const softDeleteFn = async () => {
+			const result = await this._softDeleteSql.run([Date.now(), id])
+			if (result.changes) await this._recordHistory(id)
+			return result
+		}
+		return this.db.inTransaction
+			? softDeleteFn()
+			: this.db.withTransaction(softDeleteFn)
+	}
+
+	/**
+	 * `softDelete` only: undo the removal of an object. The object is stored
+	 * again as it was, so this runs `afterSet` like an insert, but not
+	 * `beforeSet`, which could change the object.
+	 * @param  {ID|object} idOrObj The id or the object itself
+	 * @returns {Promise<boolean>} `true` if the object was removed and is now restored
+	 */
+	restore(idOrObj) {
+		if (!this.softDelete)
+			throw new Error(`${this.name}: restore requires softDelete`)
+		const id = typeof idOrObj === 'object' ? idOrObj[this.idCol] : idOrObj
+		if (this._restoreSql?.db !== this.db)
+			this._restoreSql = this.db.prepare(
+				`UPDATE ${this.quoted} SET "deletedAt" = NULL${bumpVersionSql(
+					this.versionCol
+				)} WHERE ${this.idColQ} = ? AND "deletedAt" IS NOT NULL`,
+				`restore ${this.name}`
+			)
+		const restoreFn = async () => {
+			const {changes} = await this._restoreSql.run([id])
+			if (changes !== 1) return false
+			if (this._history) await this._recordHistory(id)
+			if (this._tracked()) {
+				// An expired object stays hidden
+				const next = await this.get(id)
+				if (next) await this._afterSet(next)
+			}
+			return true
+		}
+		return this.db.inTransaction
+			? restoreFn()
+			: this.db.withTransaction(restoreFn)
+	}
+
+	/**
+	 * `keepHistory` only: get the stored versions of an object, oldest first.
+	 * Removing the object ends its last version.
+	 * @param  {ID} id The id of the object
+	 * @returns {Promise<Array<{value: Row, validFrom: number, validTo: number|null, actor: *}>>} The versions, `validTo` is null for the current one
+	 */
+	async getHistory(id) {
+		if (!this._history)
+			throw new Error(`${this.name}: getHistory requires keepHistory`)
+		if (this._getHistorySql?.db !== this.db)
+			this._getHistorySql = this.db.prepare(
+				`SELECT ${this.selectColsSql}, "_validFrom", "_validTo", "_actor" FROM ${this._history.quoted} tbl WHERE ${this.idColQ} = ? ORDER BY "_validFrom", rowid`,
+				`history ${this.name}`
+			)
+		const rows = await this._getHistorySql.all([id])
+		return rows.map(row => ({
+			value: this.toObj(row),
+			validFrom: row._validFrom,
+			validTo: row._validTo,
+			actor: row._actor,
+		}))
+	}
+
+	/**
+	 * `keepHistory` only: get an object as it was at the given time.
+	 * @param  {ID} id The id of the object
+	 * @param  {number|Date} asOf The time, in ms since the epoch
+	 * @returns {Promise<MaybeRow>} The object or null if it didn't exist
+	 */
+	getAsOf(id, asOf) {
+		if (asOf == null) throw new TypeError('getAsOf needs a time')
+		return this.searchOne({[this.idCol]: id}, {asOf})
+	}
+
+	async _purgeNoTrans(olderThan) {
+		const {sql: deletedSql} = this.columns.deletedAt
+		const rows = await this.searchAll(null, {
+			onlyDeleted: true,
+			where:
+				olderThan == null ? null : {[`${deletedSql}<?`]: [Number(olderThan)]},
+			cols: [this.idCol],
+		})
+		for (const row of rows) await this._deleteRow(row[this.idCol]) // eslint-disable-line no-await-in-loop
+		return rows.length
+	}
+
+	/**
+	 * `softDelete` only: permanently remove the removed objects, in a transaction.
+	 * @param  {number|Date} [olderThan] Only the objects removed before this time, in ms since the epoch
+	 * @returns {Promise<number>} The amount of purged objects
+	 */
+	purge(olderThan) {
+		if (!this.softDelete)
+			throw new Error(`${this.name}: purge requires softDelete`)
+		if (this.db.inTransaction) return this._purgeNoTrans(olderThan)
+		return this.db.withTransaction(() => this._purgeNoTrans(olderThan))
+	}
+
+	/**
+	 * `expiresAt` or `ttl` only: permanently remove the expired objects, in
+	 * batches that each run in their own transaction. The DB calls this every
+	 * `sweepInterval` seconds, so it does not need to be called directly.
+	 * Don't call this inside a transaction.
+	 * @param  {number} [batchSize=100] The maximum amount of objects per transaction
+	 * @returns {Promise<number>} The amount of removed objects
+	 */
+	async sweepExpired(batchSize = SWEEP_BATCH) {
+		if (!this.expires)
+			throw new Error(`${this.name}: sweepExpired requires expiresAt or ttl`)
+		if (this._sweepSql?.db !== this.db)
+			this._sweepSql = this.db.prepare(
+				`SELECT ${this.idColQ} AS id FROM ${this.quoted} WHERE "expiresAt" <= ${NOW_SQL} LIMIT ?`,
+				`sweep ${this.name}`
+			)
+		let total = 0
+		let removed
+		do {
+			// The immediate transaction keeps other processes from sweeping the same rows
+			// eslint-disable-next-line no-await-in-loop
+			removed = await this.db.withTransaction(async () => {
+				const rows = await this._sweepSql.all([batchSize])
+				let count = 0
+				for (const {id} of rows) {
+					try {
+						// eslint-disable-next-line no-await-in-loop
+						await this._atomicWrite(() => this._sweepRow(id))
+						count++
+					} catch (error) {
+						// e.g. a foreign key, it will be retried on the next sweep
+						dbg(`${this.name}: could not sweep ${id}`, error)
+					}
+				}
+				return count
+			})
+			total += removed
+		} while (removed === batchSize)
+		return total
+	}
+
+	async _sweepRow(id) {
+		if (!this._tracked()) return this._deleteRow(id)
+		// The expired object can't be read with get
+		if (this._rawGetSql?.db !== this.db)
+			this._rawGetSql = this.db.prepare(
+				`SELECT ${this.selectColsSql} FROM ${this.quoted} tbl WHERE ${this.idColQ} = ?`,
+				`raw get ${this.name}`
+			)
+		const prev = this.toObj(await this._rawGetSql.get([id]))
+		return this._hookRemove(id, prev, () => this._deleteRow(id))
+	}
+
+	// Delete the row and its full-text entries
+	_deleteRow(id) {
 		if (this._deleteSql?.db !== this.db)
 			this._deleteSql = this.db.prepare(
 				`DELETE FROM ${this.quoted} WHERE ${this.idColQ} = ?`,
 				`del ${this.name}`
 			)
-		return this._deleteSql.run([id])
+		const deleteFn = () =>
+			this._deleteSql
+				.run([id])
+				.catch(throwForeignKeyError(this.name, 'remove', id))
+		if (!this.ftsTags.length && !this._history) return deleteFn()
+		const removeFn = async () => {
+			await this._ftsApply('delete', id)
+			const result = await deleteFn()
+			if (this._history && result.changes) await this._recordHistory(id, true)
+			return result
+		}
+		return this.db.inTransaction
+			? removeFn()
+			: this.db.withTransaction(removeFn)
 	}
 
 	delete(idOrObj) {
@@ -909,10 +1781,173 @@ class JsonModel {
 			)
 			this.columns[this.idCol]._changeIdSql = _changeIdSql
 		}
-		return _changeIdSql.run([newId, oldId]).then(({changes}) => {
-			if (changes !== 1) throw new Error(`row with id ${oldId} not found`)
-			return undefined
-		})
+		const changeFn = () =>
+			_changeIdSql
+				.run([newId, oldId])
+				.catch(throwForeignKeyError(this.name, 'changeId', oldId))
+				.then(({changes}) => {
+					if (changes !== 1) throw new Error(`row with id ${oldId} not found`)
+					return undefined
+				})
+		const tracked = this._tracked()
+		if (!this.ftsTags.length && !this._history && !tracked) return changeFn()
+		const changeTrackedFn = async () => {
+			const prev = tracked ? await this.get(oldId) : undefined
+			// INTEGER ids are the rowid, so the full-text entries must move along
+			await this._ftsApply('delete', oldId)
+			await changeFn()
+			await this._ftsApply('insert', newId)
+			if (this._history) {
+				await this._recordHistory(oldId, true)
+				await this._recordHistory(newId)
+			}
+			if (prev) {
+				const next = await this.get(newId)
+				this._queueChange({type: 'remove', id: oldId, prev})
+				this._queueChange({type: 'insert', id: newId, next})
+			}
+		}
+		return this.db.inTransaction
+			? changeTrackedFn()
+			: this.db.withTransaction(changeTrackedFn)
+	}
+
+	// --- Bulk mutator methods ---
+
+	// Run a write so that a failure undoes all its statements.
+	// Single statements are already undone by SQLite, but full-text indexes,
+	// history and hooks add more statements.
+	async _atomicWrite(fn) {
+		if (!this.ftsTags.length && !this._history && !this._tracked()) return fn()
+		await this.db.run('SAVEPOINT sdb_bulk')
+		let result
+		try {
+			result = await fn()
+		} catch (error) {
+			await this.db.run('ROLLBACK TO SAVEPOINT sdb_bulk')
+			await this.db.run('RELEASE SAVEPOINT sdb_bulk')
+			throw error
+		}
+		await this.db.run('RELEASE SAVEPOINT sdb_bulk')
+		return result
+	}
+
+	async _setManyNoTrans(objs, {insertOnly, noReturn, batchSize = BULK_BATCH}) {
+		const {prepare, write, sequential} = this._set
+		const size = sequential ? 1 : batchSize
+		const out = []
+		for (let start = 0; start < objs.length; start += size) {
+			const batch = objs.slice(start, start + size)
+			// eslint-disable-next-line no-await-in-loop
+			const prepared = await Promise.all(
+				batch.map(o =>
+					prepare(o).then(
+						p => ({p}),
+						error => ({error})
+					)
+				)
+			)
+			for (const [i, {p, error}] of prepared.entries()) {
+				if (error) {
+					out.push({ok: false, id: batch[i][this.idCol], error})
+					continue
+				}
+				try {
+					// eslint-disable-next-line no-await-in-loop
+					const r = await this._atomicWrite(() =>
+						write(p, insertOnly, noReturn)
+					)
+					out.push(
+						noReturn
+							? {ok: true, id: p.id ?? r.lastID}
+							: {ok: true, id: r[this.idCol], value: r}
+					)
+				} catch (error) {
+					out.push({ok: false, id: p.id, error})
+				}
+			}
+		}
+		return out
+	}
+
+	/**
+	 * Store many objects in a single transaction. The column values are
+	 * calculated in batches and the objects are written in order with the same
+	 * prepared statement. Columns with `slugValue` depend on the stored objects,
+	 * so then each object is calculated after the previous one is written.
+	 * A failing object doesn't stop the others.
+	 * @param {Array<object>} objs - the objects to store
+	 * @param {object} [options]
+	 * @param {boolean} [options.insertOnly] - don't allow replacing existing objects
+	 * @param {boolean} [options.noReturn] - do not return the stored objects
+	 * @param {number} [options.batchSize=500] - the amount of objects to calculate values for at once
+	 * @returns {Promise<Array<BulkOutcome>>} - the outcome per object, in order
+	 */
+	setMany(objs, options = {}) {
+		if (!Array.isArray(objs)) throw new TypeError('setMany needs an array')
+		if (this.db.inTransaction) return this._setManyNoTrans(objs, options)
+		return this.db.withTransaction(() => this._setManyNoTrans(objs, options))
+	}
+
+	async _removeManyNoTrans(idsOrAttrs) {
+		const ids = Array.isArray(idsOrAttrs)
+			? idsOrAttrs.map(i => (typeof i === 'object' ? i[this.idCol] : i))
+			: (await this.searchAll(idsOrAttrs, {cols: [this.idCol]})).map(
+					o => o[this.idCol]
+			  )
+		const out = []
+		for (const id of ids) {
+			try {
+				// eslint-disable-next-line no-await-in-loop
+				await this._atomicWrite(() => this.remove(id))
+				out.push({ok: true, id})
+			} catch (error) {
+				out.push({ok: false, id, error})
+			}
+		}
+		return out
+	}
+
+	/**
+	 * Remove many objects in a single transaction. A failing removal, for example
+	 * due to a foreign key, doesn't stop the others.
+	 * @param {Array<ID|object>|SearchAttrs} idsOrAttrs - the ids or objects, or the search attributes of the objects to remove
+	 * @returns {Promise<Array<BulkOutcome>>} - the outcome per object, in order
+	 */
+	removeMany(idsOrAttrs) {
+		if (!idsOrAttrs || typeof idsOrAttrs !== 'object')
+			throw new TypeError('removeMany needs an array or search attributes')
+		if (this.db.inTransaction) return this._removeManyNoTrans(idsOrAttrs)
+		return this.db.withTransaction(() => this._removeManyNoTrans(idsOrAttrs))
+	}
+
+	async _updateManyNoTrans(attrs, patch, options) {
+		const items = await this.searchAll(attrs)
+		return this._setManyNoTrans(
+			items.map(item => assignShallow(item, patch)),
+			options
+		)
+	}
+
+	/**
+	 * Change the given fields of all matching objects, shallowly, in a single
+	 * transaction. Nullish values in the patch remove the field.
+	 * @param {SearchAttrs} attrs - the search attributes of the objects to change
+	 * @param {object} patch - the changes, without the id
+	 * @param {object} [options] - the `noReturn` and `batchSize` options of {@link setMany}
+	 * @returns {Promise<Array<BulkOutcome>>} - the outcome per object
+	 */
+	updateMany(attrs, patch, {noReturn, batchSize} = {}) {
+		if (!patch || typeof patch !== 'object')
+			throw new TypeError('updateMany needs a patch object')
+		if (this.idCol in patch)
+			throw new TypeError(`updateMany can't change ${this.idCol}`)
+		const options = {noReturn, batchSize}
+		if (this.db.inTransaction)
+			return this._updateManyNoTrans(attrs, patch, options)
+		return this.db.withTransaction(() =>
+			this._updateManyNoTrans(attrs, patch, options)
+		)
 	}
 }
 
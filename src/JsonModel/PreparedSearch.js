@@ -0,0 +1,252 @@
+import jsurl from '@yaska-eu/jsurl2'
+import {isEqual} from 'lodash'
+import {getPage} from './paging'
+
+const inRe = /\bin\s*\(\s*\?(?:\s*,\s*\?)*\s*\)/gi
+const countVars = s => (s.match(/\?/g) || []).length
+
+/**
+ * Replaces an `IN (?,?,?)` clause with `IN (SELECT value FROM json_each(?))`
+ * so that the statement can be reused for any array length.
+ * @param {string} sql - an SQL condition
+ * @returns {{sql: string, toVals: function}} - the new condition and a function converting the values for the original condition into values for the new condition
+ */
+export const rewriteIn = sql => {
+	const matches = sql.match(inRe)
+	if (!matches) return {sql, toVals: vals => vals}
+	if (matches.length > 1)
+		throw new Error(
+			`prepareSearch: only one IN (?,…) is supported per condition: ${sql}`
+		)
+	const before = countVars(sql.slice(0, sql.search(inRe)))
+	const after = countVars(sql) - before - countVars(matches[0])
+	return {
+		sql: sql.replace(inRe, 'IN (SELECT value FROM json_each(?))'),
+		toVals: vals => {
+			const end = vals.length - after
+			if (end < before)
+				throw new Error(`prepareSearch: not enough values for ${sql}`)
+			return [
+				...vals.slice(0, before),
+				JSON.stringify(vals.slice(before, end)),
+				...vals.slice(end),
+			]
+		},
+	}
+}
+
+const makeCond = (c, key) => {
+	const {sql, toVals} = rewriteIn(c.sql)
+	return {key, sql, toVals, vals: c.vals}
+}
+
+/**
+ * A search with a fixed shape, created by {@link JsonModel.prepareSearch}.
+ * The queries are only generated once and run as prepared statements.
+ * Only the attribute values, `where` values, `joinVals`, `cursor` and `before`
+ * can change between calls, all other options must stay the same.
+ */
+class PreparedSearch {
+	/**
+	 * @param {JsonModel} model - the model to search
+	 * @param {SearchAttrs} [attrs] - the attributes, their values are the defaults
+	 * @param {SearchOptions} [options] - the search options
+	 */
+	constructor(model, attrs, options = {}) {
+		// eslint-disable-next-line no-unused-vars
+		const {where, joinVals, cursor, before, itemsOnly, ...fixed} = options
+		this.model = model
+		this.attrs = attrs
+		this.fixed = fixed
+		this.joinVals = joinVals
+
+		this.whereConds = where
+			? Object.keys(where)
+					.filter(k => where[k])
+					.map(k => makeCond({sql: k, vals: where[k]}, k))
+			: []
+		this.attrConds = attrs
+			? model._attrConds(attrs).map(c => makeCond(c, c.attr))
+			: []
+
+		this.where = {}
+		for (const c of [...this.whereConds, ...this.attrConds]) {
+			if (this.where[c.sql])
+				throw new Error(`prepareSearch: duplicate condition ${c.sql}`)
+			this.where[c.sql] = c.toVals(c.vals)
+		}
+
+		this._queries = {}
+		// Make sure makeSelect didn't add values we don't know about
+		const [, vals] = this._getQuery('search')
+		if (!isEqual(vals, this._getVals())) {
+			throw new Error(
+				`${model.name}: prepareSearch does not support the values added by makeSelect`
+			)
+		}
+	}
+
+	// `from` is 'cursor' or 'before' when continuing from the given cursor
+	_getQuery(kind, from, cursor) {
+		const key = from ? `${kind}+${from}` : kind
+		if (!this._queries[key]) {
+			const options = {
+				...this.fixed,
+				where: this.where,
+				joinVals: this.joinVals,
+			}
+			if (kind === 'all') options.noCursor = true
+			else if (kind === 'search' && this._paging())
+				// One more row tells if there is a next page
+				options.limit = Number(this.fixed.limit) + 1
+			else if (kind === 'count')
+				Object.assign(options, {
+					sort: undefined,
+					limit: undefined,
+					offset: undefined,
+					noCursor: true,
+					cols: ['COUNT(*) AS c'],
+				})
+			if (from) {
+				// A cursor with the value indexes, to find them in the arguments
+				options[from] = jsurl.stringify(
+					jsurl.parse(cursor).map((_, i) => i),
+					{short: true}
+				)
+			}
+			this._queries[key] = this.model.makeSelect(options)
+		}
+		return this._queries[key]
+	}
+
+	_getVals(attrs, options = {}) {
+		// eslint-disable-next-line no-unused-vars
+		const {where, joinVals, cursor, before, ...rest} = options
+		for (const k of Object.keys(rest)) {
+			if (!isEqual(rest[k], this.fixed[k]))
+				throw new Error(`prepareSearch: option ${k} cannot be changed`)
+		}
+		const vals = []
+		const jVals = joinVals || this.joinVals
+		if (this.fixed.join && jVals && jVals.length) vals.push(...jVals)
+
+		if (where) {
+			const keys = Object.keys(where).filter(k => where[k])
+			if (
+				!isEqual(
+					keys,
+					this.whereConds.map(c => c.key)
+				)
+			)
+				throw new Error(`prepareSearch: the where keys cannot be changed`)
+		}
+		for (const c of this.whereConds)
+			vals.push(...c.toVals(where ? where[c.key] : c.vals))
+
+		if (attrs) {
+			const conds = this.model._attrConds(attrs)
+			if (conds.length !== this.attrConds.length)
+				throw new Error(`prepareSearch: the attributes cannot be changed`)
+			conds.forEach((cond, i) => {
+				const c = this.attrConds[i]
+				if (cond.attr !== c.key || rewriteIn(cond.sql).sql !== c.sql)
+					throw new Error(
+						`prepareSearch: attribute ${cond.attr} changes the query`
+					)
+				vals.push(...c.toVals(cond.vals))
+			})
+		} else {
+			for (const c of this.attrConds) vals.push(...c.toVals(c.vals))
+		}
+		return vals
+	}
+
+	_paging() {
+		const {limit, noCursor} = this.fixed
+		return !noCursor && !!limit
+	}
+
+	// The cursor condition uses some values more than once
+	_getCursorArgs(kind, from, cursor) {
+		const valCount = this._getQuery(kind)[1].length
+		const indexes = this._getQuery(kind, from, cursor)[1].slice(valCount)
+		const cursorVals = jsurl.parse(cursor)
+		return indexes.map(i => cursorVals[i])
+	}
+
+	_prepare(q, what) {
+		return this.model.db.prepare(q, `${what} ${this.model.name}`)
+	}
+
+	/**
+	 * Search the all matching objects
+	 * @param {SearchAttrs} [attrs] - attribute values, same attributes as prepared
+	 * @param {SearchOptions} [options] - `where` values, `joinVals`, `cursor` and `before`
+	 * @param {boolean} [options.itemsOnly] - return only the items array
+	 * @returns {Promise<{items: Row[], cursor?: string, prevCursor?: string, hasMore: boolean, hasPrev: boolean, total?: number}|Row[]>} - the same as {@link JsonModel.search}. If `itemsOnly`, returns only the items array.
+	 */
+	async search(attrs, {itemsOnly, ...options} = {}) {
+		const {cursor, before} = options
+		if (cursor && before)
+			throw new Error(`${this.model.name}: use either cursor or before`)
+		const kind = itemsOnly ? 'all' : 'search'
+		const from = before ? 'before' : cursor ? 'cursor' : undefined
+		const [q, , cursorKeys, totalQ] = this._getQuery(
+			kind,
+			from,
+			cursor || before
+		)
+		const vals = this._getVals(attrs, options)
+		const allVals = from
+			? [...vals, ...this._getCursorArgs(kind, from, cursor || before)]
+			: vals
+		const [allRows, totalO] = await Promise.all([
+			this._prepare(q, 'search').all(allVals),
+			totalQ && this._prepare(totalQ, 'total').get(vals),
+		])
+		const page = getPage(allRows, {
+			paging: !itemsOnly && this._paging(),
+			limit: this.fixed.limit,
+			cursor,
+			before,
+			cursorKeys,
+		})
+		const items = this.model.toObj(page.rows, this.fixed)
+		if (itemsOnly) return items
+		const out = {
+			items,
+			cursor: page.cursor,
+			prevCursor: page.prevCursor,
+			hasMore: !!page.cursor,
+			hasPrev: !!page.prevCursor,
+		}
+		if (totalO) out.total = totalO.t
+		return out
+	}
+
+	/**
+	 * A shortcut for setting `itemsOnly: true` on {@link search}
+	 * @param {SearchAttrs} [attrs] - attribute values, same attributes as prepared
+	 * @param {SearchOptions} [options] - `where` values and `joinVals`
+	 * @returns {Promise<Row[]>} - the search results
+	 */
+	searchAll(attrs, options) {
+		return this.search(attrs, {...options, itemsOnly: true})
+	}
+
+	/**
+	 * Count of search results
+	 * @param {SearchAttrs} [attrs] - attribute values, same attributes as prepared
+	 * @param {SearchOptions} [options] - `where` values and `joinVals`
+	 * @returns {Promise<number>} - the count
+	 */
+	async count(attrs, options) {
+		const [q] = this._getQuery('count')
+		const row = await this._prepare(q, 'count').get(
+			this._getVals(attrs, options)
+		)
+		return row.c
+	}
+}
+
+export default PreparedSearch
@@ -0,0 +1,23 @@
+/**
+ * Thrown when an object fails column `validate` functions or the model `schema`.
+ * `errors` lists every failing path.
+ * @extends Error
+ */
+class ValidationError extends Error {
+	/**
+	 * @param {string} modelName - the model that refused the object
+	 * @param {Array<{path: string, message: string}>} errors - the failures
+	 */
+	constructor(modelName, errors) {
+		super(
+			`${modelName}: invalid object: ${errors
+				.map(({path, message}) => `${path || '(root)'} ${message}`)
+				.join(', ')}`
+		)
+		this.name = 'ValidationError'
+		this.code = 'EVALIDATION'
+		this.errors = errors
+	}
+}
+
+export default ValidationError
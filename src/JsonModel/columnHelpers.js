@@ -0,0 +1,92 @@
+// Column definition factories. Each returns a column definition function,
+// which JsonModel calls with `{columnName}`. Extra definition keys are merged in.
+import {sql} from '../DB'
+
+/**
+ * A boolean stored as 0/1, or as NULL/1 with `index: 'SPARSE'`.
+ * The value is always read as a boolean.
+ * @param {ColumnDef} [def] - extra column definition
+ * @returns {function} - the column definition function
+ */
+export const boolColumn = def => ({columnName}) => {
+	const sparse = def?.index === 'SPARSE'
+	const colSql = `tbl.${sql.quoteId(columnName)}`
+	return {
+		type: 'INTEGER',
+		stringify: sparse ? v => (v ? 1 : null) : v => (v ? 1 : 0),
+		parse: Boolean,
+		...(sparse
+			? {
+					where: (_, v) => `${colSql} IS ${v ? 'NOT ' : ''}NULL`,
+					whereVal: () => [],
+					// The sparse index leaves out the NULL rows, so paging can't use it
+					sortable: false,
+			  }
+			: {whereVal: v => [v ? 1 : 0]}),
+		...def,
+	}
+}
+
+/**
+ * A JSON column that always holds an object. An empty object is stored as NULL
+ * and NULL is read as `{}`. Storing a non-object throws.
+ * @param {ColumnDef} [def] - extra column definition
+ * @returns {function} - the column definition function
+ */
+export const objectColumn = def => ({columnName}) => ({
+	type: 'JSON',
+	alwaysObject: true,
+	stringify: obj => {
+		if (obj == null) return null
+		const json = JSON.stringify(obj)
+		if (json[0] !== '{')
+			throw new TypeError(`${columnName}: value must be an object`)
+		return json === '{}' ? null : json
+	},
+	...def,
+})
+
+/**
+ * A boolean that is either `true` or absent from the object, stored as 1/NULL.
+ * It is not `sortable`, since the NULL rows can't be paged through an index.
+ * @param {ColumnDef} [def] - extra column definition
+ * @returns {function} - the column definition function
+ */
+export const falsyColumn = def => () => ({
+	real: true,
+	falsyBool: true,
+	sortable: false,
+	...def,
+})
+
+const uuidRe = /^[\da-f]{8}(?:-?[\da-f]{4}){3}-?[\da-f]{12}$/i
+
+const uuidToBuffer = (columnName, v) => {
+	if (v == null) return null
+	if (typeof v !== 'string' || !uuidRe.test(v))
+		throw new TypeError(`${columnName}: ${v} is not a UUID`)
+	return Buffer.from(v.replace(/-/g, ''), 'hex')
+}
+
+const bufferToUuid = b => {
+	if (b == null) return b
+	const h = Buffer.from(b).toString('hex')
+	return `${h.slice(0, 8)}-${h.slice(8, 12)}-${h.slice(12, 16)}-${h.slice(
+		16,
+		20
+	)}-${h.slice(20)}`
+}
+
+/**
+ * A UUID string, stored as a 16 byte BLOB. Searching converts the value too.
+ * Not usable as the id column.
+ * @param {ColumnDef} [def] - extra column definition
+ * @returns {function} - the column definition function
+ */
+export const uuidColumn = def => ({columnName}) => ({
+	type: 'BLOB',
+	stringify: v => uuidToBuffer(columnName, v),
+	parse: bufferToUuid,
+	whereVal: v => [uuidToBuffer(columnName, v)],
+	...def,
+})
@@ -0,0 +1,110 @@
+import {sql} from '../DB'
+import ForeignKeyError from './ForeignKeyError'
+
+export const onDeleteSql = {
+	cascade: 'CASCADE',
+	restrict: 'RESTRICT',
+	setNull: 'SET NULL',
+}
+
+// Convert SQLite foreign key errors to ForeignKeyError, rethrow the rest
+export const throwForeignKeyError = (modelName, operation, id) => error => {
+	if (/FOREIGN KEY constraint failed/.test(error.message))
+		throw new ForeignKeyError(modelName, operation, id, error)
+	throw error
+}
+
+// Split the column definitions of a CREATE TABLE statement
+const splitTableSql = createSql => {
+	const start = createSql.indexOf('(')
+	const end = createSql.lastIndexOf(')')
+	const defs = []
+	let depth = 0
+	let quote
+	let def = ''
+	for (const c of createSql.slice(start + 1, end)) {
+		if (quote) {
+			if (c === quote) quote = undefined
+		} else if (c === '"' || c === "'" || c === '`') quote = c
+		else if (c === '(') depth++
+		else if (c === ')') depth--
+		else if (c === ',' && !depth) {
+			defs.push(def.trim())
+			def = ''
+			continue
+		}
+		def += c
+	}
+	defs.push(def.trim())
+	return {defs, tail: createSql.slice(end)}
+}
+
+const getColumnDef = (tableName, col, db) => {
+	const {model, onDelete} = col.references
+	const parent = db.store[model]
+	if (!parent || !parent.idCol)
+		throw new Error(`${tableName}.${col.name}: unknown model ${model}`)
+	return `${col.quoted} ${col.type} REFERENCES ${sql.quoteId(
+		parent.name
+	)}(${sql.quoteId(parent.idCol)}) ON DELETE ${onDeleteSql[onDelete]}`
+}
+
+// SQLite can't add constraints to existing columns, so this copies the table,
+// following https://www.sqlite.org/lang_altertable.html#otheralter.
+// The caller must have turned off foreign keys and run in a transaction.
+const rebuildTable = async (db, tableName, {defs, tail}) => {
+	const tableQuoted = sql.quoteId(tableName)
+	const tmpQuoted = sql.quoteId(`_sdb_rebuild_${tableName}`)
+	const extras = await db.all(
+		`SELECT sql FROM sqlite_master WHERE tbl_name=? AND type IN ('index', 'trigger') AND sql IS NOT NULL`,
+		[tableName]
+	)
+	const hasSequence = await db.get(
+		`SELECT 1 FROM sqlite_master WHERE type='table' AND name='sqlite_sequence'`
+	)
+	const sequence =
+		hasSequence &&
+		(await db.get(`SELECT seq FROM sqlite_sequence WHERE name=?`, [tableName]))
+	await db.exec(`
+		CREATE TABLE ${tmpQuoted}(${defs.join(', ')}${tail};
+		INSERT INTO ${tmpQuoted} SELECT * FROM ${tableQuoted};
+		DROP TABLE ${tableQuoted};
+		ALTER TABLE ${tmpQuoted} RENAME TO ${tableQuoted};
+		${extras.map(e => `${e.sql};`).join('\n')}
+	`)
+	// Don't reuse ids
+	if (sequence)
+		await db.run(`UPDATE sqlite_sequence SET seq=? WHERE name=?`, [
+			sequence.seq,
+			tableName,
+		])
+}
+
+/**
+ * Add the column with its foreign key, or rebuild the table if the column
+ * exists with a different definition.
+ * @param {SQLite} db - the migration db
+ * @param {string} tableName - the model table
+ * @param {object} col - the normalized column with `references`
+ * @returns {Promise<void>} - promise for completion
+ */
+export const ensureReference = async (db, tableName, col) => {
+	const colDef = getColumnDef(tableName, col, db)
+	const {
+		sql: createSql,
+	} = await db.get(
+		`SELECT sql FROM sqlite_master WHERE type='table' AND name=?`,
+		[tableName]
+	)
+	const table = splitTableSql(createSql)
+	const i = table.defs.findIndex(
+		d => d.startsWith(`${col.quoted} `) || d.startsWith(`${col.name} `)
+	)
+	if (i < 0) {
+		await db.exec(`ALTER TABLE ${sql.quoteId(tableName)} ADD COLUMN ${colDef}`)
+		return
+	}
+	if (table.defs[i] === colDef) return
+	table.defs[i] = colDef
+	await rebuildTable(db, tableName, table)
+}
@@ -0,0 +1,51 @@
+// The companion table of the keepHistory option. It has the real columns of
+// the model table, and every row is a version of an object that was current
+// from `_validFrom` until `_validTo` (NULL while it is current).
+import {sql} from '../DB'
+
+export const historyName = tableName => `${tableName} history`
+
+// What the model needs to maintain the history
+export const prepareHistory = (tableName, keepHistory) =>
+	keepHistory
+		? {
+				quoted: sql.quoteId(historyName(tableName)),
+				actor: keepHistory.actor,
+		  }
+		: null
+
+const tableCols = async (db, tableName) =>
+	db.all(`PRAGMA table_info(${sql.quoteId(tableName)})`)
+
+// Copy the current table layout, so the columns added later can be added as well
+export const createHistoryTable = async (db, tableName, idCol) => {
+	const cols = (await tableCols(db, tableName)).filter(c => c.name !== 'rowId')
+	const names = cols.map(c => sql.quoteId(c.name)).join(', ')
+	const defs = cols.map(c => `${sql.quoteId(c.name)} ${c.type}`).join(', ')
+	const histName = historyName(tableName)
+	const quoted = sql.quoteId(histName)
+	await db.exec(`
+		CREATE TABLE ${quoted}(${defs}, "_validFrom" INTEGER NOT NULL, "_validTo" INTEGER, "_actor" TEXT);
+		CREATE INDEX ${sql.quoteId(`${histName}_${idCol}`)} ON ${quoted}(${sql.quoteId(
+		idCol
+	)}, "_validFrom");
+	`)
+	// The existing objects are current since now
+	await db.run(
+		`INSERT INTO ${quoted}(${names}, "_validFrom") SELECT ${names}, ? FROM ${sql.quoteId(
+			tableName
+		)}`,
+		[Date.now()]
+	)
+}
+
+// Add a new real column, unless the history table doesn't exist yet or has it
+export const addHistoryColumn = async (db, tableName, col) => {
+	const cols = await tableCols(db, historyName(tableName))
+	if (!cols.length || cols.some(c => c.name === col.name)) return
+	await db.exec(
+		`ALTER TABLE ${sql.quoteId(historyName(tableName))} ADD COLUMN ${
+			col.quoted
+		} ${col.type}`
+	)
+}
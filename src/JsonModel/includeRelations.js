@@ -0,0 +1,89 @@
+import {get, uniq} from 'lodash'
+
+const relationTypes = ['belongsTo', 'hasOne', 'hasMany']
+
+// Check the relation declarations, the related models are resolved at query time
+export const prepareRelations = (model, relations = {}) => {
+	for (const [name, {type, model: other, column}] of Object.entries(
+		relations
+	)) {
+		if (!relationTypes.includes(type))
+			throw new TypeError(
+				`${
+					model.name
+				}: relation ${name} type must be one of ${relationTypes.join(', ')}`
+			)
+		if (!other || !column)
+			throw new TypeError(
+				`${model.name}: relation ${name} needs a model and a column`
+			)
+		if (type === 'belongsTo') {
+			const col = model.columns[column]
+			if (!col || (col.real && !col.get))
+				throw new TypeError(
+					`${model.name}: relation ${name} needs a selected column ${column}`
+				)
+		}
+	}
+	return relations
+}
+
+const loadRelation = async (model, objs, name) => {
+	const relation = model.relations[name]
+	if (!relation) throw new Error(`${model.name}: unknown relation ${name}`)
+	const {type, model: otherName, column} = relation
+	const other = model.db.store[otherName]
+	if (!other)
+		throw new Error(
+			`${model.name}: relation ${name} has unknown model ${otherName}`
+		)
+
+	if (type === 'belongsTo') {
+		const {path} = model.columns[column]
+		const ids = uniq(objs.map(o => get(o, path)).filter(id => id != null))
+		const related = await other.getAll(ids)
+		const byId = new Map(ids.map((id, i) => [id, related[i]]))
+		for (const o of objs) o[name] = byId.get(get(o, path)) || null
+		return
+	}
+
+	const col = other.columns[column]
+	if (!col || (col.real && !col.get))
+		throw new Error(
+			`${model.name}: relation ${name} needs a selected column ${otherName}.${column}`
+		)
+	const ids = uniq(objs.map(o => o[model.idCol]))
+	const related = ids.length
+		? await other.searchAll(null, {
+				where: {
+					[`${col.sql} IN (SELECT value FROM json_each(?))`]: [
+						JSON.stringify(ids),
+					],
+				},
+		  })
+		: []
+	const byId = new Map()
+	for (const r of related) {
+		const id = get(r, col.path)
+		if (!byId.has(id)) byId.set(id, [])
+		byId.get(id).push(r)
+	}
+	for (const o of objs) {
+		const list = byId.get(o[model.idCol]) || []
+		o[name] = type === 'hasMany' ? list : list[0] || null
+	}
+}
+
+/**
+ * Load the related objects of the given objects, one query per relation,
+ * and assign them to the objects under the relation name.
+ * @param {JsonModel} model - the model of the objects
+ * @param {Array<object>} items - the objects, empty values are skipped
+ * @param {Array<string>} include - the relation names
+ * @returns {Promise<void>} - promise for completion
+ */
+export const includeRelations = async (model, items, include) => {
+	const objs = items.filter(Boolean)
+	if (!objs.length) return
+	await Promise.all(include.map(name => loadRelation(model, objs, name)))
+}
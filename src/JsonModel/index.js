@@ -4,3 +4,12 @@
 export {makeIdValue} from './makeDefaultIdValue'
 export {byPathLength, byPathLengthDesc, parseJson} from './prepareSqlCol'
 export {default} from './JsonModel'
+export {
+	boolColumn,
+	falsyColumn,
+	objectColumn,
+	uuidColumn,
+} from './columnHelpers'
+export {default as ValidationError} from './ValidationError'
+export {default as ForeignKeyError} from './ForeignKeyError'
+export {default as ConflictError} from './ConflictError'
@@ -1,17 +1,93 @@
+import {createHash} from 'crypto'
 import {sql} from '../DB'
+import {ensureReference} from './foreignKeys'
+import {addHistoryColumn, createHistoryTable} from './history'
 
 export const cloneModelWithDb = (m, db) => {
 	const model = Object.create(m)
 	model.db = db
+	// Rewriting rows is not a change, so no hooks or change events
+	model._quiet = true
 	model._set = model._makeSetFn()
 	return model
 }
 
+const REWRITE_BATCH = 100
+
+// The full-text indexes of textSearch tags this model created before, but
+// doesn't use any more. The tags are taken from the ran migration keys.
+const getUnusedFts = async (db, tableName, tags) => {
+	const rows = await db.all(
+		`SELECT DISTINCT runKey FROM "{sdb} migrations" WHERE runKey LIKE '2\\_fts\\_%' ESCAPE '\\'`
+	)
+	const keyRe = /^2_fts_(\w+)_[\da-f]{8} (.*)$/
+	const names = new Set()
+	for (const {runKey} of rows) {
+		const match = keyRe.exec(runKey)
+		if (match && match[2] === tableName && !tags.includes(match[1]))
+			names.add(`${tableName} fts ${match[1]}`)
+	}
+	if (!names.size) return []
+	const tables = await db.all(
+		`SELECT name FROM sqlite_master WHERE name IN (SELECT value FROM json_each(?))`,
+		[JSON.stringify([...names])]
+	)
+	return tables.map(t => t.name)
+}
+
+// Store every row again, including removed and expired ones, so all the
+// column values are recalculated
+const rewriteRows = async model => {
+	let cursor
+	do {
+		// eslint-disable-next-line no-await-in-loop
+		const result = await model.search(null, {
+			limit: REWRITE_BATCH,
+			cursor,
+			noTotal: true,
+			withDeleted: true,
+			withExpired: true,
+		})
+		// eslint-disable-next-line no-await-in-loop
+		for (const item of result.items) await model._set(item, false, true)
+		cursor = result.cursor
+	} while (cursor)
+}
+
+const colExpr = col => col.sql.replace('tbl.', '')
+
+// Whether the table has indexes created by SQLite.ensureIndexes
+const hasModelIndexes = async (db, tableName) =>
+	Boolean(
+		await db.get(
+			`SELECT 1 FROM sqlite_master WHERE type = 'index' AND tbl_name = ? AND name LIKE '\\_sdb\\_%' ESCAPE '\\'`,
+			[tableName]
+		)
+	)
+
+// Convert the column names to their SQL expressions, for SQLite.ensureIndexes
+const resolveIndexes = (tableName, columns, indexes) =>
+	indexes.map(({columns: colNames, ...index}) => {
+		if (!colNames) return index
+		const exprs = colNames.map(name => {
+			const col = columns[name]
+			if (!col)
+				throw new TypeError(
+					`${tableName}: index ${index.name} uses unknown column ${name}`
+				)
+			return colExpr(col)
+		})
+		return {...index, expression: exprs.join(', ')}
+	})
+
 export const makeMigrations = ({
 	name: tableName,
 	idCol,
 	columns,
+	indexes,
+	ftsTags,
 	keepRowId,
+	keepHistory,
 	migrations,
 	migrationOptions,
 }) => {
@@ -46,29 +122,104 @@ export const makeMigrations = ({
 			}
 		},
 	}
+	// Sorts after adding the real columns
+	if (keepHistory)
+		allMigrations['0~history'] = ({db}) =>
+			createHistoryTable(db, tableName, idCol)
+	const addToHistory = (db, col) =>
+		keepHistory && col.type && addHistoryColumn(db, tableName, col)
 	for (const [name, col] of Object.entries(columns)) {
 		// We already added these, or it's an alias
 		if (name === idCol || name === 'json' || name !== col.name) continue
-		const expr = col.sql.replace('tbl.', '')
+		const expr = colExpr(col)
+		const indexSql = col.index
+			? `CREATE ${col.unique ? 'UNIQUE ' : ''}INDEX IF NOT EXISTS ${sql.quoteId(
+					`${tableName}_${name}`
+			  )} ON ${tableQuoted}(${expr}) ${
+					col.ignoreNull ? `WHERE ${expr} IS NOT NULL` : ''
+			  };`
+			: ''
+		if (col.references) {
+			// Adding a foreign key to an existing column needs a table rebuild
+			allMigrations[`0_${name}`] = {
+				up: async ({db}) => {
+					await ensureReference(db, tableName, col)
+					await addToHistory(db, col)
+					if (indexSql) await db.exec(indexSql)
+				},
+				withoutForeignKeys: true,
+			}
+			// A changed reference gets a new key, so the table is rebuilt
+			const {model, onDelete} = col.references
+			const hash = createHash('sha1')
+				.update(`${model} ${onDelete}`)
+				.digest('hex')
+				.slice(0, 8)
+			allMigrations[`0_${name}_ref_${hash}`] = {
+				up: ({db}) => ensureReference(db, tableName, col),
+				withoutForeignKeys: true,
+			}
+			continue
+		}
 		// Make sure real columns are created before indexes on expressions
-		allMigrations[`${col.real ? 0 : 1}_${name}`] = ({db}) =>
-			db.exec(
+		allMigrations[`${col.real ? 0 : 1}_${name}`] = async ({db}) => {
+			await db.exec(
 				`${
 					col.type
 						? `ALTER TABLE ${tableQuoted} ADD COLUMN ${col.quoted} ${col.type};`
 						: ''
-				}${
-					col.index
-						? `CREATE ${
-								col.unique ? 'UNIQUE ' : ''
-						  }INDEX IF NOT EXISTS ${sql.quoteId(
-								`${tableName}_${name}`
-						  )} ON ${tableQuoted}(${expr}) ${
-								col.ignoreNull ? `WHERE ${expr} IS NOT NULL` : ''
-						  };`
-						: ''
-				}`
+				}${indexSql}`
 			)
+			await addToHistory(db, col)
+		}
+	}
+	for (const [name, col] of Object.entries(columns)) {
+		if (name !== col.name || !(col.version > 1)) continue
+		// A new version gets a new key, so the rows are rewritten once
+		allMigrations[`3_${name}_v${col.version}`] = ({model}) => rewriteRows(model)
+	}
+	// A changed definition gets a new key, so the indexes are updated.
+	// Without indexes this only runs to drop the ones defined before.
+	const resolved = resolveIndexes(tableName, columns, indexes || [])
+	const indexHash = createHash('sha1')
+		.update(JSON.stringify(resolved))
+		.digest('hex')
+		.slice(0, 8)
+	allMigrations[`4_indexes_${indexHash}`] = {
+		up: ({db}) => db.ensureIndexes(tableName, resolved, true),
+		needed: !indexes && (({db}) => hasModelIndexes(db, tableName)),
+		// The indexes follow the model definition, there is nothing to restore
+		down: () => {},
+	}
+	for (const t of ftsTags) {
+		// A changed definition gets a new key, so the index is rebuilt
+		const hash = createHash('sha1')
+			.update(t.createSql + t.populateSql)
+			.digest('hex')
+			.slice(0, 8)
+		allMigrations[`2_fts_${t.tag}_${hash}`] = ({db}) =>
+			db.exec(`
+				DROP TABLE IF EXISTS ${t.quoted};
+				${t.createSql};
+				${t.populateSql};
+			`)
+	}
+	// A changed set of tags gets a new key, so unused indexes are dropped.
+	// It only runs when there are any, so other models don't record it.
+	const tags = ftsTags.map(t => t.tag).sort()
+	const ftsHash = createHash('sha1')
+		.update(JSON.stringify(tags))
+		.digest('hex')
+		.slice(0, 8)
+	allMigrations[`2_unused_fts_${ftsHash}`] = {
+		up: async ({db}) => {
+			const unused = await getUnusedFts(db, tableName, tags)
+			await db.exec(unused.map(n => `DROP TABLE ${sql.quoteId(n)};`).join('\n'))
+		},
+		needed: async ({db}) =>
+			(await getUnusedFts(db, tableName, tags)).length > 0,
+		// The indexes only hold derived data, there is nothing to restore
+		down: () => {},
 	}
 	// Wrap the migration functions to provide their arguments
 	const wrappedMigrations = {}
@@ -87,7 +238,19 @@ export const makeMigrations = ({
 			const model = writeableDb.store[tableName]
 			return fn({...migrationOptions, db: writeableDb, model})
 		})
-	const wrapMigration = migration => wrap(migration.up || migration)
+	const wrapMigration = migration =>
+		typeof migration === 'function'
+			? wrap(migration)
+			: {
+					up: wrap(migration.up),
+					down: wrap(migration.down),
+					undo: wrap(migration.undo),
+					// Only reads, so it gets the plain db
+					needed:
+						migration.needed &&
+						(db => migration.needed({...migrationOptions, db})),
+					withoutForeignKeys: migration.withoutForeignKeys,
+			  }
 
 	Object.keys(allMigrations).forEach(k => {
 		const m = allMigrations[k]
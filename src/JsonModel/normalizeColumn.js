@@ -1,11 +1,26 @@
 import {sql, valToSql} from '../DB'
 import {uniqueSlugId} from '../lib/slugify'
 import {get} from 'lodash'
+import {onDeleteSql} from './foreignKeys'
 
 // eslint-disable-next-line complexity
 export const normalizeColumn = (col, name) => {
 	col.name = name
 	col.quoted = sql.quoteId(name)
+	if (col.references) {
+		const {model, onDelete = 'restrict'} = col.references
+		if (!model) throw new TypeError(`${name}: references needs a model`)
+		if (!onDeleteSql[onDelete])
+			throw new TypeError(
+				`${name}: references.onDelete must be one of ${Object.keys(
+					onDeleteSql
+				).join(', ')}`
+			)
+		col.references = {model, onDelete}
+		col.real = true
+		// Cascading and checking deletes looks up the referencing rows
+		if (col.index == null) col.index = true
+	}
 	if (col.type) col.real = true
 	else if (col.real) col.type = col.falsyBool ? 'INTEGER' : 'BLOB'
 	if (col.get == null) col.get = !!col.real
@@ -24,6 +39,7 @@ export const normalizeColumn = (col, name) => {
 		if (col.value)
 			throw new TypeError(`${name}: slugValue and value can't both be defined`)
 		if (!col.index) throw new TypeError(`${name}: slugValue requires index`)
+		col.sequential = true
 		col.value = async function (o) {
 			if (o[name] != null) return o[name]
 			return uniqueSlugId(this, await col.slugValue(o), name, o[this.idCol])
@@ -81,6 +97,20 @@ export const normalizeColumn = (col, name) => {
 			col.parse = v => (v ? true : undefined)
 		}
 	}
+	if (col.textSearch) {
+		const ts = col.textSearch
+		col.ftsTag =
+			typeof ts === 'string' ? ts : (typeof ts === 'object' && ts.tag) || 'main'
+		if (!/^\w+$/.test(col.ftsTag))
+			throw new TypeError(
+				`${name}: textSearch tag "${col.ftsTag}" must be alphanumeric`
+			)
+	}
+	if (
+		col.version != null &&
+		!(Number.isInteger(col.version) && col.version > 0)
+	)
+		throw new TypeError(`${name}: version must be a positive integer`)
 	if (!col.real && col.stringify)
 		throw new Error(`${name}: stringify only applies to real columns`)
 	if (!col.get && col.parse)
@@ -0,0 +1,29 @@
+import jsurl from '@yaska-eu/jsurl2'
+
+// Paged queries fetch one extra row to know whether there is a next page.
+// This returns the rows of the page in sort order, with the cursors for the
+// next and previous pages. Going backwards with `before`, the query walked
+// in reverse and there is always a next page.
+export const getPage = (
+	allRows,
+	{paging, limit, cursor, before, cursorKeys}
+) => {
+	const hasExtra = paging && allRows.length > limit
+	const rows = hasExtra ? allRows.slice(0, limit) : allRows
+	if (before) rows.reverse()
+	const getCursor = row =>
+		row &&
+		jsurl.stringify(
+			cursorKeys.map(k => row[k]),
+			{short: true}
+		)
+	return {
+		rows,
+		cursor:
+			paging && (before || hasExtra)
+				? getCursor(rows[rows.length - 1])
+				: undefined,
+		prevCursor:
+			paging && (before ? hasExtra : cursor) ? getCursor(rows[0]) : undefined,
+	}
+}
@@ -0,0 +1,63 @@
+import {sql, valToSql} from '../DB'
+
+export const ftsAlias = tag => `_fts_${tag}`
+
+// Contentless FTS5 tables, one per textSearch tag. The rowids are those of
+// the model table, and JsonModel keeps them in sync when writing.
+export const prepareFts = ({name: tableName, columnArr, idCol}) => {
+	const tableQuoted = sql.quoteId(tableName)
+	const idSql = columnArr.find(c => c.name === idCol).sql
+	const tags = {}
+	for (const col of columnArr) {
+		if (!col.ftsTag) continue
+		const {ftsTag: tag, textSearch} = col
+		if (!tags[tag]) {
+			const name = `${tableName} fts ${tag}`
+			const alias = ftsAlias(tag)
+			const rankAlias = `_rank_${tag}`
+			tags[tag] = {
+				tag,
+				name,
+				quoted: sql.quoteId(name),
+				alias,
+				// Pseudo-column for sorting by relevance
+				rank: {
+					name: rankAlias,
+					alias: rankAlias,
+					sql: `${alias}.rank`,
+					select: `${alias}.rank AS ${rankAlias}`,
+				},
+				columns: [],
+				options: {},
+			}
+		}
+		const t = tags[tag]
+		t.columns.push(col)
+		if (typeof textSearch === 'object') {
+			for (const k of ['tokenize', 'prefix']) {
+				const v = textSearch[k]
+				if (v == null) continue
+				if (t.options[k] != null && t.options[k] !== v)
+					throw new TypeError(
+						`${col.name}: textSearch tag "${tag}" has conflicting ${k} options`
+					)
+				t.options[k] = v
+			}
+		}
+	}
+	return Object.values(tags).map(t => {
+		const colsQ = t.columns.map(c => c.quoted).join()
+		const valsSql = t.columns.map(c => c.sql).join()
+		const optionsSql = Object.entries(t.options)
+			.map(([k, v]) => `, ${k}=${valToSql(String(v))}`)
+			.join('')
+		const selectSql = `SELECT tbl.rowid, ${valsSql} FROM ${tableQuoted} tbl`
+		return {
+			...t,
+			createSql: `CREATE VIRTUAL TABLE ${t.quoted} USING fts5(${colsQ}, content=''${optionsSql})`,
+			populateSql: `INSERT INTO ${t.quoted}(rowid, ${colsQ}) ${selectSql}`,
+			insertSql: `INSERT INTO ${t.quoted}(rowid, ${colsQ}) ${selectSql} WHERE ${idSql} = ?`,
+			deleteSql: `INSERT INTO ${t.quoted}(${t.quoted}, rowid, ${colsQ}) SELECT 'delete', tbl.rowid, ${valsSql} FROM ${tableQuoted} tbl WHERE ${idSql} = ?`,
+		}
+	})
+}
@@ -1,4 +1,5 @@
 import {sql} from '../DB'
+import {ftsAlias} from './prepareFts'
 
 export const byPathLength = (a, b) => a.parts.length - b.parts.length
 export const byPathLengthDesc = (a, b) => b.parts.length - a.parts.length
@@ -65,14 +66,17 @@ export const prepareSqlCol = col => {
 		col.whereVal = arrayToJson
 	} else if (col.textSearch) {
 		if (col.where || col.whereVal)
-			throw new TypeError(`${name}: cannot mix textSearch and where/whereVal`)
+			throw new TypeError(
+				`${col.name}: cannot mix textSearch and where/whereVal`
+			)
 		if (col.in)
-			throw new TypeError(`${name}: Only one of in/textSearch allowed`)
-		col.where = `${col.sql} LIKE ?`
+			throw new TypeError(`${col.name}: Only one of in/textSearch allowed`)
+		// The FTS5 table for the tag is joined under this alias by makeSelect
+		col.where = `${ftsAlias(col.ftsTag)}.${col.quoted} MATCH ?`
 		col.whereVal = v => {
 			if (v == null) return
 			const s = String(v)
-			if (s) return [`%${s}%`]
+			if (s) return [s]
 		}
 	}
 	col.select = `${col.sql} AS ${col.alias}`
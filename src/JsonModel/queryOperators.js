@@ -0,0 +1,100 @@
+// MongoDB-style operators for search attributes, e.g. `{price: {$gte: 10}}`.
+// All values are bound as parameters, only the column SQL ends up in the query.
+// The values are converted like the stored values, see `toDbVal`.
+
+const compare = op => (s, v, toVal) => ({sql: `${s}${op}?`, vals: [toVal(v)]})
+const inList = not => (s, v, toVal) => {
+	if (!Array.isArray(v))
+		throw new TypeError(`$${not ? 'nin' : 'in'} needs an array`)
+	let vals = v.map(x => toVal(x))
+	let valSql = s
+	// Buffers can't be passed in JSON, so those are compared in hex
+	if (vals.some(x => Buffer.isBuffer(x))) {
+		valSql = `hex(${s})`
+		vals = vals.map(x =>
+			Buffer.isBuffer(x) ? x.toString('hex').toUpperCase() : x
+		)
+	}
+	const sql = `${valSql} ${
+		not ? 'NOT ' : ''
+	}IN (SELECT value FROM json_each(?))`
+	// Like MongoDB, $nin also matches missing values
+	return {
+		sql: not ? `${s} IS NULL OR ${sql}` : sql,
+		vals: [JSON.stringify(vals)],
+	}
+}
+
+const operators = {
+	$ne: (s, v, toVal) => ({sql: `${s} IS NOT ?`, vals: [toVal(v)]}),
+	$gt: compare('>'),
+	$gte: compare('>='),
+	$lt: compare('<'),
+	$lte: compare('<='),
+	$in: inList(false),
+	$nin: inList(true),
+	$like: (s, v) => ({sql: `${s} LIKE ?`, vals: [v]}),
+	$exists: (s, v) => ({sql: `${s} IS ${v ? 'NOT ' : ''}NULL`, vals: []}),
+}
+
+/**
+ * Is this attribute value an operator object like `{$gt: 5}`?
+ * @param {*} val - the attribute value
+ * @returns {boolean} - true if all keys are operators
+ */
+export const isOperatorObject = val => {
+	if (!val || typeof val !== 'object' || Array.isArray(val)) return false
+	const keys = Object.keys(val)
+	return keys.length > 0 && keys.every(k => k[0] === '$')
+}
+
+// Real columns store the stringified value, except JSON, which is compared by value
+const toDbVal = col =>
+	col.real && col.stringify && col.type !== 'JSON'
+		? v => (v == null ? v : col.stringify(v))
+		: v => v
+
+/**
+ * Convert an operator object into conditions on the column.
+ * `$eq` is handled by the caller, since it uses the column's own `where`,
+ * except `$eq: null`, which matches missing values like `$exists: false`.
+ * @param {object} col - the column
+ * @param {object} ops - the operator object
+ * @returns {Array<{sql: string, vals: any[]}>} - the conditions
+ */
+export const operatorConds = (col, ops) => {
+	const toVal = toDbVal(col)
+	return Object.keys(ops)
+		.filter(op => (op === '$eq' ? ops[op] === null : ops[op] !== undefined))
+		.map(op => {
+			if (op === '$eq') return operators.$exists(col.sql, false)
+			const fn = operators[op]
+			if (!fn) throw new Error(`${col.name}: unknown operator ${op}`)
+			if (col.isArray && op !== '$exists')
+				throw new Error(
+					`${col.name}: ${op} is not supported on isArray columns`
+				)
+			return fn(col.sql, ops[op], toVal)
+		})
+}
+
+/**
+ * Combine the conditions of `$or`/`$and` alternatives into one condition.
+ * An `$or` without alternatives matches nothing, and one with an empty
+ * alternative matches everything.
+ * @param {'$or' | '$and'} op - the operator
+ * @param {Array<Array<{sql: string, vals: any[]}>>} alternatives - the conditions per alternative
+ * @returns {{sql: string, vals: any[]} | undefined} - the condition, if any
+ */
+export const logicCond = (op, alternatives) => {
+	const isOr = op === '$or'
+	if (isOr && !alternatives.length) return {sql: '0', vals: []}
+	const parts = alternatives.filter(conds => conds.length)
+	if (!parts.length || (isOr && parts.length < alternatives.length)) return
+	return {
+		sql: parts
+			.map(conds => `(${conds.map(c => `(${c.sql})`).join('AND')})`)
+			.join(isOr ? 'OR' : 'AND'),
+		vals: parts.flatMap(conds => conds.flatMap(c => c.vals)),
+	}
+}
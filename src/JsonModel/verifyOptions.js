@@ -12,12 +12,13 @@ import PropTypes from 'prop-types'
  * @property {function} [parse] - process the value after getting from DB
  * @property {function} [stringify] - process the value before putting into DB
  * @property {boolean} [alwaysObject] - the value is an object and must always be there. If this is a real column, a NULL column value will be replaced by `{}` and vice versa.
- * @property {function} [value] - function getting object and returning the value for the column; this creates a real column. Right now the column value is not regenerated for existing rows.
+ * @property {function} [value] - function getting object and returning the value for the column; this creates a real column. The value is only regenerated for existing rows when `version` increases.
  * @property {function} [slugValue] - same as value, but the result is used to generate a unique slug
  * @property {string} [sql] - any sql expression to use in SELECT statements
  * @property {*} [default] - if the value is nullish, this will be stored instead
  * @property {boolean} [required] - throw when trying to store a NULL
  * @property {boolean} [falsyBool] - store/retrieve this boolean value as either `true` or absent from the object
+ * @property {boolean} [sortable=true] - can be used in `sort` when paging with cursors, otherwise that throws and the search needs `noCursor`. Set to false when an index can't serve the paging, e.g. because it leaves out the NULL rows
  * @property {boolean} [index] - should it be indexed? If `unique` is false, NULLs are never indexed
  * @property {boolean} [ignoreNull=!unique] - are null values ignored in the index?
  * @property {boolean} [unique] - should the index enforce uniqueness?
@@ -26,8 +27,11 @@ import PropTypes from 'prop-types'
  * @property {boolean} [isArray] - this column contains an array of values
  * @property {boolean} [in] - to query, this column value must match one of the given array items
  * @property {boolean} [inAll] - [isArray only] to query, this column value must match all of the given array items
- * @property {boolean} [textSearch] - perform searches as substring search with LIKE
+ * @property {boolean|string|object} [textSearch] - index the column with FTS5 and search with `MATCH`. Columns with the same tag (`true` is tag `main`) share an index. As an object, it can have `tag`, `tokenize` and `prefix`, the latter two are passed as FTS5 table options. Results are sorted by relevance unless `sort` is given.
  * @property {boolean} [isAnyOfArray] - alias for isArray+inAll
+ * @property {object} [references] - `{model, onDelete}`: make this a real column with a foreign key to the id of the `model` model. `onDelete` is `restrict` (default), `cascade` or `setNull`. Adding or changing it rebuilds the table, removing it keeps the foreign key. Violations throw a `ForeignKeyError`
+ * @property {function} [validate] - `(value, obj)` called with the column value before storing, must return truthy or storing throws a `ValidationError`
+ * @property {number} [version=1] - increase to rewrite all existing rows once, regenerating calculated values and real column contents
  */
 
 export const columnPropType =
@@ -59,6 +63,12 @@ export const columnPropType =
 				default: PropTypes.any,
 				required: PropTypes.bool,
 				falsyBool: PropTypes.bool,
+				sortable: PropTypes.bool,
+				validate: PropTypes.func,
+				references: PropTypes.exact({
+					model: PropTypes.string.isRequired,
+					onDelete: PropTypes.oneOf(['cascade', 'restrict', 'setNull']),
+				}),
 				// === index ===
 				// create index for this column
 				index: PropTypes.oneOfType([PropTypes.bool, PropTypes.string]),
@@ -72,7 +82,17 @@ export const columnPropType =
 				inAll: PropTypes.bool,
 				isAnyOfArray: PropTypes.bool,
 				isArray: PropTypes.bool,
-				textSearch: PropTypes.bool,
+				// === maintenance ===
+				version: PropTypes.number,
+				textSearch: PropTypes.oneOfType([
+					PropTypes.bool,
+					PropTypes.string,
+					PropTypes.exact({
+						tag: PropTypes.string,
+						tokenize: PropTypes.string,
+						prefix: PropTypes.string,
+					}),
+				]),
 		  })
 
 export const verifyColumn = (name, column) => {
@@ -94,17 +114,51 @@ export const verifyColumn = (name, column) => {
 	}
 }
 
+/**
+ * A model index, created with `SQLite.ensureIndexes`. Give either `columns` or `expression`.
+ * @typedef JMIndex
+ * @type {Object}
+ * @property {string} name - the index name, unique per model
+ * @property {Array<string>} [columns] - the column names, indexed by their SQL expression
+ * @property {string} [expression] - the indexed SQL expression(s)
+ * @property {string} [where] - SQL condition for a partial index
+ * @property {boolean} [unique] - create a unique index
+ */
+
+/**
+ * A relation with another model in `db.store`, see the `include` search option.
+ * - `belongsTo`: `column` of this model holds the id of the other object
+ * - `hasOne`/`hasMany`: `column` of the other model holds the id of this object
+ * @typedef JMRelation
+ * @type {Object}
+ * @property {'belongsTo' | 'hasOne' | 'hasMany'} type - the relation type
+ * @property {string} model - the name of the other model
+ * @property {string} column - the column holding the id
+ */
+
 /**
  * @typedef JMOptions
  * @type {Object}
  * @property {DB} db - a DB instance, normally passed by DB
  * @property {string} name - the table name
- * @property {Object} [migrations] - an object with migration functions. They are ran in alphabetical order
+ * @property {Object} [migrations] - an object with migration functions or `{up, down, undo}` objects. They are ran in alphabetical order
  * @property {Object} [migrationOptions] - free-form data passed to the migration functions
  * @property {Object} [columns] - the column definitions as {@link ColumnDef} objects. Each value must be a columndef or a function returning a columndef.
  * @property {function} [ItemClass] - an object class to use for results, must be able to handle `Object.assign(item, result)`
  * @property {string} [idCol='id'] - the key of the ID column
  * @property {boolean} [keepRowId] - preserve row id after vacuum
+ * @property {Array<JMIndex>} [indexes] - composite and partial indexes. They are recreated when their definition changes, and the ones removed from the array are dropped (pass `[]` to drop all)
+ * @property {Record<string, JMRelation>} [relations] - related models, which can be loaded with the `include` search option
+ * @property {object} [schema] - a JSON Schema (draft-07 subset) the objects must match before storing, otherwise storing throws a `ValidationError`
+ * @property {boolean} [softDelete] - `remove` sets the real column `deletedAt` to the current time in ms instead of deleting. Removed objects are left out of searches and `get`, unless the search option `withDeleted` or `onlyDeleted` is given. `restore` undoes the removal and `purge` deletes permanently. Removed objects keep their unique values and foreign keys
+ * @property {boolean} [expiresAt] - add the real column `expiresAt`, taken from the object as a time in ms since the epoch or a Date. Objects with a past `expiresAt` are left out of searches and `get`, and the DB removes them every `sweepInterval` seconds, see `sweepExpired`
+ * @property {number} [ttl] - like `expiresAt`, but the expiry time is set to now plus `ttl` ms on every write
+ * @property {function} [beforeSet] - `(obj)` called with `this` as the model before calculating the column values of a write. It can return a new object to store instead, and throwing refuses the write
+ * @property {function} [afterSet] - `(next, prev)` called with the stored object and the previous one, in the same transaction as the write. Throwing undoes the write
+ * @property {function} [beforeRemove] - `(id, prev)` called before removing an existing object, also when it expires. Throwing refuses the removal
+ * @property {function} [afterRemove] - `(id, prev)` called after removing an existing object, in the same transaction. Throwing undoes the removal
+ * @property {boolean|{actor: function}} [keepHistory] - record every version of the objects with the times they were current in the table `<name> history`, for `getHistory`, `getAsOf` and the `asOf` search option. `actor()` is called with `this` as the model on every write, and its result is stored with the version
+ * @property {string} [versionCol] - the name of an INTEGER column holding the object version, which is 1 on insert and increments on every write. Pass `expectedVersion` to `set` or `update` to refuse changes based on another version with a `ConflictError`
  */
 const jmPropTypes =
 	process.env.NODE_ENV === 'production'
@@ -117,7 +171,11 @@ const jmPropTypes =
 						PropTypes.oneOfType([
 							PropTypes.oneOf([false]),
 							PropTypes.func,
-							PropTypes.exact({up: PropTypes.func, down: PropTypes.func}),
+							PropTypes.exact({
+								up: PropTypes.func,
+								down: PropTypes.func,
+								undo: PropTypes.func,
+							}),
 						])
 					),
 					migrationOptions: PropTypes.object,
@@ -127,6 +185,36 @@ const jmPropTypes =
 					ItemClass: PropTypes.func,
 					idCol: PropTypes.string,
 					keepRowId: PropTypes.bool,
+					indexes: PropTypes.arrayOf(
+						PropTypes.exact({
+							name: PropTypes.string.isRequired,
+							columns: PropTypes.arrayOf(PropTypes.string),
+							expression: PropTypes.string,
+							where: PropTypes.string,
+							unique: PropTypes.bool,
+						})
+					),
+					relations: PropTypes.objectOf(
+						PropTypes.exact({
+							type: PropTypes.oneOf(['belongsTo', 'hasOne', 'hasMany'])
+								.isRequired,
+							model: PropTypes.string.isRequired,
+							column: PropTypes.string.isRequired,
+						})
+					),
+					schema: PropTypes.oneOfType([PropTypes.object, PropTypes.bool]),
+					versionCol: PropTypes.string,
+					softDelete: PropTypes.bool,
+					expiresAt: PropTypes.bool,
+					ttl: PropTypes.number,
+					beforeSet: PropTypes.func,
+					afterSet: PropTypes.func,
+					beforeRemove: PropTypes.func,
+					afterRemove: PropTypes.func,
+					keepHistory: PropTypes.oneOfType([
+						PropTypes.bool,
+						PropTypes.exact({actor: PropTypes.func}),
+					]),
 					// Harmless props passed by ESDB
 					dispatch: PropTypes.any,
 					emitter: PropTypes.any,
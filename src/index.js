@@ -5,4 +5,13 @@ export {
 	applyResult,
 	ESModel,
 } from './EventSourcingDB'
-export {default as JsonModel} from './JsonModel'
+export {
+	default as JsonModel,
+	boolColumn,
+	ConflictError,
+	falsyColumn,
+	ForeignKeyError,
+	objectColumn,
+	uuidColumn,
+	ValidationError,
+} from './JsonModel'
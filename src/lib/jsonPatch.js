@@ -0,0 +1,144 @@
+// RFC 6902 JSON Patch and RFC 7396 JSON Merge Patch.
+// Both return a new document and never change the given one.
+import {cloneDeep, isEqual} from 'lodash'
+
+const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v)
+const hasOwn = (o, key) => Object.prototype.hasOwnProperty.call(o, key)
+
+// RFC 6901 JSON Pointer
+const parsePointer = pointer => {
+	if (typeof pointer !== 'string' || (pointer && pointer[0] !== '/'))
+		throw new TypeError(`invalid JSON pointer ${JSON.stringify(pointer)}`)
+	if (!pointer) return []
+	return pointer
+		.slice(1)
+		.split('/')
+		.map(t => t.replace(/~1/g, '/').replace(/~0/g, '~'))
+}
+
+// `-` and the array length are only valid when adding
+const arrayIndex = (arr, token, adding) => {
+	if (adding && token === '-') return arr.length
+	if (!/^(?:0|[1-9]\d*)$/.test(token))
+		throw new Error(`invalid array index "${token}"`)
+	const i = Number(token)
+	if (i > (adding ? arr.length : arr.length - 1))
+		throw new Error(`array index ${i} is out of bounds`)
+	return i
+}
+
+const getChild = (node, token) => {
+	if (Array.isArray(node)) return node[arrayIndex(node, token)]
+	if (isObject(node) && hasOwn(node, token)) return node[token]
+	throw new Error(`"${token}" does not exist`)
+}
+
+// The document is kept in a wrapper so the root can be replaced like any value
+const ROOT = ''
+const resolve = (wrapper, pointer) => {
+	const tokens = [ROOT, ...parsePointer(pointer)]
+	const key = tokens.pop()
+	let parent = wrapper
+	for (const token of tokens) parent = getChild(parent, token)
+	return {parent, key}
+}
+
+const getValue = (wrapper, pointer) => {
+	const {parent, key} = resolve(wrapper, pointer)
+	return getChild(parent, key)
+}
+
+const addValue = (wrapper, pointer, value) => {
+	const {parent, key} = resolve(wrapper, pointer)
+	if (Array.isArray(parent))
+		parent.splice(arrayIndex(parent, key, true), 0, value)
+	else if (isObject(parent)) parent[key] = value
+	else throw new Error(`can't add to a ${typeof parent}`)
+}
+
+const removeValue = (wrapper, pointer) => {
+	const {parent, key} = resolve(wrapper, pointer)
+	const value = getChild(parent, key)
+	if (Array.isArray(parent)) parent.splice(arrayIndex(parent, key), 1)
+	else delete parent[key]
+	return value
+}
+
+const getOpValue = op => {
+	if (!('value' in op)) throw new Error(`missing value`)
+	return cloneDeep(op.value)
+}
+
+const operations = {
+	add: (wrapper, op) => addValue(wrapper, op.path, getOpValue(op)),
+	remove: (wrapper, op) => removeValue(wrapper, op.path),
+	replace: (wrapper, op) => {
+		const value = getOpValue(op)
+		removeValue(wrapper, op.path)
+		addValue(wrapper, op.path, value)
+	},
+	move: (wrapper, op) => {
+		if (op.path.startsWith(`${op.from}/`))
+			throw new Error(`can't move ${op.from} into itself`)
+		addValue(wrapper, op.path, removeValue(wrapper, op.from))
+	},
+	copy: (wrapper, op) =>
+		addValue(wrapper, op.path, cloneDeep(getValue(wrapper, op.from))),
+	test: (wrapper, op) => {
+		if (!isEqual(getValue(wrapper, op.path), op.value))
+			throw new Error(`test failed`)
+	},
+}
+
+/**
+ * Apply an RFC 6902 JSON Patch. If an operation fails, this throws and no
+ * changes are returned.
+ * @param {*} doc - the document to patch
+ * @param {Array<{op: string, path: string, from?: string, value?: *}>} ops - the operations
+ * @returns {*} - the patched copy of the document
+ */
+export const applyJsonPatch = (doc, ops) => {
+	if (!Array.isArray(ops)) throw new TypeError('JSON Patch must be an array')
+	const wrapper = {[ROOT]: cloneDeep(doc)}
+	ops.forEach((op, i) => {
+		const fn = op && operations[op.op]
+		try {
+			if (!fn) throw new Error(`unknown op ${JSON.stringify(op && op.op)}`)
+			fn(wrapper, op)
+		} catch (error) {
+			const where = op && op.path != null ? ` ${op.path}` : ''
+			throw new Error(
+				`JSON Patch operation ${i} (${op && op.op}${where}): ${error.message}`
+			)
+		}
+	})
+	return wrapper[ROOT]
+}
+
+/**
+ * Apply an RFC 7396 JSON Merge Patch: objects are merged recursively, `null`
+ * removes a key and anything else replaces the value.
+ * @param {*} target - the document to patch
+ * @param {*} patch - the merge patch
+ * @returns {*} - the patched copy of the document
+ */
+export const applyMergePatch = (target, patch) => {
+	if (!isObject(patch)) return cloneDeep(patch)
+	const out = isObject(target) ? {...target} : {}
+	for (const [key, value] of Object.entries(patch)) {
+		if (value === null) delete out[key]
+		else out[key] = applyMergePatch(out[key], value)
+	}
+	return out
+}
+
+/**
+ * Apply a JSON Patch array or a JSON Merge Patch object.
+ * @param {*} doc - the document to patch
+ * @param {Array<object>|object} patch - the JSON Patch or merge patch
+ * @returns {*} - the patched copy of the document
+ */
+export const applyPatch = (doc, patch) =>
+	Array.isArray(patch)
+		? applyJsonPatch(doc, patch)
+		: applyMergePatch(doc, patch)
@@ -0,0 +1,77 @@
+import {applyJsonPatch, applyMergePatch} from './jsonPatch'
+
+test('applyJsonPatch operations', () => {
+	const doc = {a: {b: [1, 2]}, 'c/d': 1, 'e~f': 2}
+	expect(
+		applyJsonPatch(doc, [
+			{op: 'add', path: '/a/b/1', value: 5},
+			{op: 'add', path: '/a/b/-', value: 9},
+			{op: 'remove', path: '/c~1d'},
+			{op: 'replace', path: '/e~0f', value: {x: 1}},
+			{op: 'copy', from: '/e~0f', path: '/g'},
+			{op: 'move', from: '/a/b/0', path: '/h'},
+			{op: 'test', path: '/g', value: {x: 1}},
+		])
+	).toEqual({a: {b: [5, 2, 9]}, 'e~f': {x: 1}, g: {x: 1}, h: 1})
+	// the original is unchanged
+	expect(doc).toEqual({a: {b: [1, 2]}, 'c/d': 1, 'e~f': 2})
+	expect(applyJsonPatch(doc, [{op: 'replace', path: '', value: 3}])).toBe(3)
+	expect(applyJsonPatch(doc, [])).toEqual(doc)
+})
+
+test('applyJsonPatch errors', () => {
+	const doc = {a: [1], b: 'x'}
+	expect(() =>
+		applyJsonPatch(doc, [
+			{op: 'add', path: '/c', value: 1},
+			{op: 'test', path: '/b', value: 'y'},
+		])
+	).toThrow('JSON Patch operation 1 (test /b): test failed')
+	expect(doc).toEqual({a: [1], b: 'x'})
+	expect(() => applyJsonPatch(doc, {})).toThrow('must be an array')
+	expect(() => applyJsonPatch(doc, [{op: 'nope', path: '/a'}])).toThrow(
+		'unknown op "nope"'
+	)
+	expect(() => applyJsonPatch(doc, [{op: 'add', path: 'a', value: 1}])).toThrow(
+		'invalid JSON pointer'
+	)
+	expect(() =>
+		applyJsonPatch(doc, [{op: 'add', path: '/a/2', value: 1}])
+	).toThrow('out of bounds')
+	expect(() =>
+		applyJsonPatch(doc, [{op: 'add', path: '/a/01', value: 1}])
+	).toThrow('invalid array index')
+	expect(() => applyJsonPatch(doc, [{op: 'remove', path: '/a/-'}])).toThrow(
+		'invalid array index'
+	)
+	expect(() => applyJsonPatch(doc, [{op: 'remove', path: '/c'}])).toThrow(
+		'"c" does not exist'
+	)
+	expect(() =>
+		applyJsonPatch(doc, [{op: 'add', path: '/x/y', value: 1}])
+	).toThrow('"x" does not exist')
+	expect(() =>
+		applyJsonPatch(doc, [{op: 'add', path: '/b/y', value: 1}])
+	).toThrow("can't add to a string")
+	expect(() => applyJsonPatch(doc, [{op: 'replace', path: '/b'}])).toThrow(
+		'missing value'
+	)
+	expect(() =>
+		applyJsonPatch(doc, [{op: 'move', from: '/a', path: '/a/0'}])
+	).toThrow('into itself')
+})
+
+test('applyMergePatch', () => {
+	const target = {a: {b: 1, c: {d: 2}}, e: [1, 2], f: 'x'}
+	expect(
+		applyMergePatch(target, {
+			a: {c: {d: null, g: 3}},
+			e: [3],
+			f: null,
+			h: {i: null},
+		})
+	).toEqual({a: {b: 1, c: {g: 3}}, e: [3], h: {}})
+	expect(target).toEqual({a: {b: 1, c: {d: 2}}, e: [1, 2], f: 'x'})
+	expect(applyMergePatch(target, 'y')).toBe('y')
+	expect(applyMergePatch('y', {a: 1})).toEqual({a: 1})
+})
@@ -0,0 +1,210 @@
+// A small JSON Schema (draft-07) validator, supporting the keywords below.
+// Unsupported keywords throw at check time, so they are never silently ignored.
+import {isEqual} from 'lodash'
+
+const annotations = new Set([
+	'$schema',
+	'$id',
+	'$comment',
+	'title',
+	'description',
+	'default',
+	'examples',
+	'format',
+])
+
+const typeChecks = {
+	string: v => typeof v === 'string',
+	number: v => typeof v === 'number' && Number.isFinite(v),
+	integer: v => Number.isInteger(v),
+	boolean: v => typeof v === 'boolean',
+	null: v => v === null,
+	array: v => Array.isArray(v),
+	object: v => v !== null && typeof v === 'object' && !Array.isArray(v),
+}
+
+const joinPath = (path, key) => (path ? `${path}.${key}` : String(key))
+
+// Each validator pushes {path, message} objects on `errors`
+const keywords = {
+	type: (schema, v, path, errors) => {
+		const types = Array.isArray(schema.type) ? schema.type : [schema.type]
+		if (!types.some(t => typeChecks[t](v)))
+			errors.push({path, message: `should be ${types.join(' or ')}`})
+	},
+	enum: (schema, v, path, errors) => {
+		if (!schema.enum.some(e => isEqual(e, v)))
+			errors.push({
+				path,
+				message: `should be one of ${JSON.stringify(schema.enum)}`,
+			})
+	},
+	const: (schema, v, path, errors) => {
+		if (!isEqual(schema.const, v))
+			errors.push({path, message: `should be ${JSON.stringify(schema.const)}`})
+	},
+	minimum: (schema, v, path, errors) => {
+		if (typeof v === 'number' && v < schema.minimum)
+			errors.push({path, message: `should be >= ${schema.minimum}`})
+	},
+	maximum: (schema, v, path, errors) => {
+		if (typeof v === 'number' && v > schema.maximum)
+			errors.push({path, message: `should be <= ${schema.maximum}`})
+	},
+	exclusiveMinimum: (schema, v, path, errors) => {
+		if (typeof v === 'number' && v <= schema.exclusiveMinimum)
+			errors.push({path, message: `should be > ${schema.exclusiveMinimum}`})
+	},
+	exclusiveMaximum: (schema, v, path, errors) => {
+		if (typeof v === 'number' && v >= schema.exclusiveMaximum)
+			errors.push({path, message: `should be < ${schema.exclusiveMaximum}`})
+	},
+	multipleOf: (schema, v, path, errors) => {
+		if (typeof v === 'number' && !Number.isInteger(v / schema.multipleOf))
+			errors.push({
+				path,
+				message: `should be a multiple of ${schema.multipleOf}`,
+			})
+	},
+	minLength: (schema, v, path, errors) => {
+		if (typeof v === 'string' && [...v].length < schema.minLength)
+			errors.push({
+				path,
+				message: `should have at least ${schema.minLength} characters`,
+			})
+	},
+	maxLength: (schema, v, path, errors) => {
+		if (typeof v === 'string' && [...v].length > schema.maxLength)
+			errors.push({
+				path,
+				message: `should have at most ${schema.maxLength} characters`,
+			})
+	},
+	pattern: (schema, v, path, errors) => {
+		if (typeof v === 'string' && !new RegExp(schema.pattern, 'u').test(v))
+			errors.push({path, message: `should match ${schema.pattern}`})
+	},
+	items: (schema, v, path, errors) => {
+		if (!Array.isArray(v)) return
+		v.forEach((item, i) =>
+			validate(schema.items, item, joinPath(path, i), errors)
+		)
+	},
+	minItems: (schema, v, path, errors) => {
+		if (Array.isArray(v) && v.length < schema.minItems)
+			errors.push({
+				path,
+				message: `should have at least ${schema.minItems} items`,
+			})
+	},
+	maxItems: (schema, v, path, errors) => {
+		if (Array.isArray(v) && v.length > schema.maxItems)
+			errors.push({
+				path,
+				message: `should have at most ${schema.maxItems} items`,
+			})
+	},
+	uniqueItems: (schema, v, path, errors) => {
+		if (
+			schema.uniqueItems &&
+			Array.isArray(v) &&
+			v.some((item, i) => v.findIndex(o => isEqual(o, item)) !== i)
+		)
+			errors.push({path, message: `should have unique items`})
+	},
+	required: (schema, v, path, errors) => {
+		if (!typeChecks.object(v)) return
+		for (const key of schema.required)
+			if (v[key] === undefined)
+				errors.push({path: joinPath(path, key), message: `is required`})
+	},
+	properties: (schema, v, path, errors) => {
+		if (!typeChecks.object(v)) return
+		for (const [key, sub] of Object.entries(schema.properties))
+			if (v[key] !== undefined)
+				validate(sub, v[key], joinPath(path, key), errors)
+	},
+	additionalProperties: (schema, v, path, errors) => {
+		if (!typeChecks.object(v)) return
+		const {properties = {}, additionalProperties} = schema
+		for (const key of Object.keys(v)) {
+			if (key in properties || v[key] === undefined) continue
+			if (additionalProperties === false)
+				errors.push({path: joinPath(path, key), message: `is not allowed`})
+			else validate(additionalProperties, v[key], joinPath(path, key), errors)
+		}
+	},
+	allOf: (schema, v, path, errors) => {
+		for (const sub of schema.allOf) validate(sub, v, path, errors)
+	},
+	anyOf: (schema, v, path, errors) => {
+		if (!schema.anyOf.some(sub => !validate(sub, v, path).length))
+			errors.push({path, message: `should match a schema in anyOf`})
+	},
+	oneOf: (schema, v, path, errors) => {
+		const count = schema.oneOf.filter(sub => !validate(sub, v, path).length)
+			.length
+		if (count !== 1)
+			errors.push({path, message: `should match exactly one schema in oneOf`})
+	},
+	not: (schema, v, path, errors) => {
+		if (!validate(schema.not, v, path).length)
+			errors.push({path, message: `should not match the schema in not`})
+	},
+}
+
+const subSchemaKeys = {
+	items: s => [s],
+	additionalProperties: s => (typeof s === 'object' ? [s] : []),
+	properties: s => Object.values(s),
+	allOf: s => s,
+	anyOf: s => s,
+	oneOf: s => s,
+	not: s => [s],
+}
+
+/**
+ * Throws if the schema uses keywords or types that are not supported.
+ * @param {object|boolean} schema - the JSON Schema
+ * @param {string} [name] - the name used in the error message
+ * @returns {void}
+ */
+export const checkSchema = (schema, name = 'schema') => {
+	if (typeof schema === 'boolean') return
+	if (!schema || typeof schema !== 'object' || Array.isArray(schema))
+		throw new TypeError(`${name}: schema must be an object or boolean`)
+	for (const [key, value] of Object.entries(schema)) {
+		if (annotations.has(key)) continue
+		if (!keywords[key])
+			throw new TypeError(`${name}: unsupported schema keyword "${key}"`)
+		if (key === 'type')
+			for (const t of Array.isArray(value) ? value : [value])
+				if (!typeChecks[t])
+					throw new TypeError(`${name}: unknown schema type "${t}"`)
+		if (subSchemaKeys[key])
+			for (const sub of subSchemaKeys[key](value)) checkSchema(sub, name)
+	}
+}
+
+/**
+ * Validates a value against a JSON Schema that passed `checkSchema`.
+ * @param {object|boolean} schema - the JSON Schema
+ * @param {*} value - the value to validate
+ * @param {string} [path] - the path of the value, used in the errors
+ * @param {Array<{path: string, message: string}>} [errors] - the array to add errors to
+ * @returns {Array<{path: string, message: string}>} - the errors, empty if valid
+ */
+export const validate = (schema, value, path = '', errors = []) => {
+	if (schema === false) errors.push({path, message: `is not allowed`})
+	if (typeof schema !== 'object') return errors
+	// Only check the contents if the type is correct
+	if (schema.type) {
+		const before = errors.length
+		keywords.type(schema, value, path, errors)
+		if (errors.length > before) return errors
+	}
+	for (const key of Object.keys(schema))
+		if (key !== 'type' && keywords[key])
+			keywords[key](schema, value, path, errors)
+	return errors
+}
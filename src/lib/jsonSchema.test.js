@@ -0,0 +1,74 @@
+import {checkSchema, validate} from './jsonSchema'
+
+test('checkSchema', () => {
+	expect(() =>
+		checkSchema({
+			$schema: 'http://json-schema.org/draft-07/schema#',
+			title: 'thing',
+			type: ['object', 'null'],
+			properties: {a: {type: 'string', format: 'email'}},
+			additionalProperties: {anyOf: [{type: 'integer'}, false]},
+		})
+	).not.toThrow()
+	expect(() => checkSchema(true)).not.toThrow()
+	expect(() => checkSchema([])).toThrow('must be an object')
+	expect(() => checkSchema({$ref: '#/x'}, 'foo')).toThrow(
+		'foo: unsupported schema keyword "$ref"'
+	)
+	expect(() => checkSchema({type: 'date'})).toThrow('unknown schema type')
+	expect(() => checkSchema({items: {if: {}}})).toThrow('"if"')
+})
+
+test('validate types and keywords', () => {
+	expect(validate({type: 'integer'}, 1.5)).toEqual([
+		{path: '', message: 'should be integer'},
+	])
+	expect(validate({type: ['string', 'null']}, null)).toEqual([])
+	expect(validate({enum: [1, {a: 2}]}, {a: 2})).toEqual([])
+	expect(validate({const: 'x'}, 'y')).toHaveLength(1)
+	expect(
+		validate({minimum: 2, exclusiveMaximum: 5, multipleOf: 2}, 5)
+	).toHaveLength(2)
+	expect(validate({minLength: 2, pattern: '^a'}, 'b')).toHaveLength(2)
+	expect(
+		validate({minItems: 3, uniqueItems: true, items: {type: 'number'}}, [1, 1])
+	).toHaveLength(2)
+	expect(validate({oneOf: [{type: 'number'}, {minimum: 0}]}, 3)).toEqual([
+		{path: '', message: 'should match exactly one schema in oneOf'},
+	])
+	expect(validate({not: {type: 'string'}}, 3)).toEqual([])
+	expect(validate(false, 3)).toEqual([{path: '', message: 'is not allowed'}])
+})
+
+test('validate lists every failing path', () => {
+	const schema = {
+		type: 'object',
+		required: ['name', 'age'],
+		properties: {
+			name: {type: 'string'},
+			tags: {type: 'array', items: {type: 'string'}},
+			address: {
+				type: 'object',
+				properties: {zip: {type: 'string', maxLength: 4}},
+				additionalProperties: false,
+			},
+		},
+	}
+	expect(
+		validate(schema, {
+			name: 5,
+			tags: ['a', 1],
+			address: {zip: '12345', extra: true},
+		})
+	).toEqual([
+		{path: 'age', message: 'is required'},
+		{path: 'name', message: 'should be string'},
+		{path: 'tags.1', message: 'should be string'},
+		{path: 'address.zip', message: 'should have at most 4 characters'},
+		{path: 'address.extra', message: 'is not allowed'},
+	])
+	// wrong type skips the other keywords
+	expect(validate(schema, [])).toEqual([
+		{path: '', message: 'should be object'},
+	])
+})